@@ -0,0 +1,264 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const blocksLogic = require('./block');
+const blocksUtils = require('./utils');
+const {
+	verifySignature,
+	verifyVersion,
+	verifyReward,
+	verifyPayload,
+	verifyBlockSlot,
+} = require('./verify');
+
+/**
+ * Re-verifies the blocks which are already stored in the database without applying them,
+ * so neither the blocks nor the memory tables are modified.
+ *
+ * The generator of a block is compared against the delegate list which was stored at the end of its round.
+ * Delegate lists are only stored from the version which introduced them onwards, so for older rounds
+ * only the consistency of the round is checked: every slot of a round must always be forged by the same
+ * delegate and a delegate can only own a single slot per round. These rounds are reported by the audit.
+ *
+ * @class
+ * @param {Object} storage
+ * @param {Object} interfaceAdapters
+ * @param {Object} genesisBlock
+ * @param {Object} slots
+ * @param {Object} exceptions
+ * @param {Object} blockReward
+ * @param {Object} constants
+ */
+class BlocksAudit {
+	constructor({
+		storage,
+		interfaceAdapters,
+		genesisBlock,
+		slots,
+		exceptions,
+		blockReward,
+		constants,
+	}) {
+		this.storage = storage;
+		this.interfaceAdapters = interfaceAdapters;
+		this.genesisBlock = genesisBlock;
+		this.slots = slots;
+		this.exceptions = exceptions;
+		this.blockReward = blockReward;
+		this.constants = constants;
+	}
+
+	/**
+	 * Walks the stored chain in ascending height order and stops at the first inconsistent block.
+	 *
+	 * @param {number} fromHeight - Height of the first block to verify, 1 to start from the genesis block
+	 * @param {function} isCleaning - Returns true when the node is shutting down
+	 * @param {function} onProgress - Called with the last verified block after every batch
+	 * @returns {Promise.<Object>} result
+	 * @returns {boolean} result.verified - Indicator that all the audited blocks are valid
+	 * @returns {number} result.height - Height of the first invalid block
+	 * @returns {string} result.blockId - Id of the first invalid block
+	 * @returns {string} result.reason - Reason why the block is invalid
+	 * @returns {number} result.lastVerifiedHeight - Height of the last valid block
+	 * @returns {Array.<number>} result.roundsWithoutDelegateList - Rounds of which the generators could not be verified against the delegate list
+	 */
+	async audit(fromHeight, isCleaning, onProgress) {
+		const limit = this.constants.loadPerIteration;
+		let previousBlock = null;
+		let currentHeight = fromHeight;
+
+		if (fromHeight > 1) {
+			[previousBlock] = await blocksUtils.loadBlocksWithOffset(
+				this.storage,
+				this.interfaceAdapters,
+				this.genesisBlock,
+				1,
+				fromHeight - 1,
+			);
+			if (!previousBlock) {
+				throw new Error(
+					`Unable to audit from height ${fromHeight}, block at height ${fromHeight -
+						1} does not exist`,
+				);
+			}
+		}
+
+		const slotOwners = {};
+		const delegateSlots = {};
+		const roundsWithoutDelegateList = new Set();
+
+		while (!isCleaning()) {
+			// eslint-disable-next-line no-await-in-loop
+			const blocks = await blocksUtils.loadBlocksWithOffset(
+				this.storage,
+				this.interfaceAdapters,
+				this.genesisBlock,
+				limit,
+				currentHeight,
+			);
+			if (!blocks.length) {
+				break;
+			}
+			// eslint-disable-next-line no-await-in-loop
+			const delegateLists = await this._getDelegateLists(blocks);
+			// eslint-disable-next-line no-restricted-syntax
+			for (const block of blocks) {
+				const errors = previousBlock
+					? this._verifyBlock(block, previousBlock, {
+							delegateLists,
+							slotOwners,
+							delegateSlots,
+							roundsWithoutDelegateList,
+					  })
+					: this._verifyGenesisBlock(block);
+				if (errors.length) {
+					const [error] = errors;
+					return {
+						verified: false,
+						height: block.height,
+						blockId: block.id,
+						reason: error.message || error.toString(),
+						lastVerifiedHeight: previousBlock ? previousBlock.height : 0,
+						roundsWithoutDelegateList: [...roundsWithoutDelegateList],
+					};
+				}
+				previousBlock = block;
+			}
+			onProgress(previousBlock);
+			currentHeight = previousBlock.height + 1;
+		}
+
+		return {
+			verified: true,
+			lastVerifiedHeight: previousBlock ? previousBlock.height : 0,
+			roundsWithoutDelegateList: [...roundsWithoutDelegateList],
+		};
+	}
+
+	async _getDelegateLists(blocks) {
+		const storedLists = await this.storage.entities.Round.getDelegateLists(
+			this.slots.calcRound(blocks[0].height),
+			this.slots.calcRound(blocks[blocks.length - 1].height),
+		);
+		return storedLists.reduce((lists, { round, delegatePublicKeys }) => {
+			lists[round] = delegatePublicKeys;
+			return lists;
+		}, {});
+	}
+
+	_verifyGenesisBlock(block) {
+		if (block.height !== 1 || block.id !== this.genesisBlock.id) {
+			return [
+				new Error(
+					`Block ${block.id} at height ${block.height} does not match the genesis block ${
+						this.genesisBlock.id
+					}`,
+				),
+			];
+		}
+		return [];
+	}
+
+	_verifyBlock(block, previousBlock, generators) {
+		let result = { verified: false, errors: [] };
+
+		if (
+			block.height !== previousBlock.height + 1 ||
+			block.previousBlock !== previousBlock.id
+		) {
+			result.errors.push(
+				new Error(
+					`Invalid previous block: ${block.previousBlock} expected: ${
+						previousBlock.id
+					}`,
+				),
+			);
+		}
+		try {
+			const id = blocksLogic.getId(block);
+			if (id !== block.id) {
+				result.errors.push(new Error(`Invalid block id: ${block.id} expected: ${id}`));
+			}
+		} catch (error) {
+			result.errors.push(error);
+		}
+		result = verifySignature(block, result);
+		result = verifyVersion(block, this.exceptions, result);
+		result = verifyPayload(
+			block,
+			this.constants.maxTransactionsPerBlock,
+			this.constants.maxPayloadLength,
+			result,
+		);
+		result = verifyReward(this.blockReward, block, this.exceptions, result);
+		result = verifyBlockSlot(this.slots, block, previousBlock, result);
+		this._verifyGenerator(block, generators, result);
+
+		return result.errors;
+	}
+
+	_verifyGenerator(
+		block,
+		{ delegateLists, slotOwners, delegateSlots, roundsWithoutDelegateList },
+		result,
+	) {
+		const round = this.slots.calcRound(block.height);
+		const slotIndex =
+			this.slots.getSlotNumber(block.timestamp) % this.constants.activeDelegates;
+		const delegateList = delegateLists[round];
+		if (delegateList) {
+			if (delegateList[slotIndex] !== block.generatorPublicKey) {
+				result.errors.push(
+					new Error(
+						`Generator ${block.generatorPublicKey} does not own slot ${slotIndex} of round ${round}, expected: ${
+							delegateList[slotIndex]
+						}`,
+					),
+				);
+			}
+			return result;
+		}
+
+		roundsWithoutDelegateList.add(round);
+		const slotKey = `${round}:${slotIndex}`;
+		const delegateKey = `${round}:${block.generatorPublicKey}`;
+
+		if (
+			(slotOwners[slotKey] && slotOwners[slotKey] !== block.generatorPublicKey) ||
+			(delegateSlots[delegateKey] !== undefined &&
+				delegateSlots[delegateKey] !== slotIndex)
+		) {
+			result.errors.push(
+				new Error(
+					`Generator ${block.generatorPublicKey} does not own slot ${slotIndex} of round ${round}`,
+				),
+			);
+			return result;
+		}
+		// Only the assignments of the current round are needed
+		if (block.height === this.slots.calcRoundStartHeight(round)) {
+			Object.keys(slotOwners).forEach(key => delete slotOwners[key]);
+			Object.keys(delegateSlots).forEach(key => delete delegateSlots[key]);
+		}
+		slotOwners[slotKey] = block.generatorPublicKey;
+		delegateSlots[delegateKey] = slotIndex;
+		return result;
+	}
+}
+
+module.exports = {
+	BlocksAudit,
+};
@@ -30,6 +30,7 @@ const BigNum = require('@liskhq/bignum');
 const { validator } = require('@liskhq/lisk-validator');
 const { validateTransactions } = require('../transactions');
 const blockVersion = require('./block_version');
+const { computeMerkleRoot } = require('./merkle');
 
 // TODO: remove type constraints
 const TRANSACTION_TYPES_MULTI = 4;
@@ -230,11 +231,18 @@ const getHash = block => hash(getBytes(block));
  * Description of the function.
  *
  * @param {block} block
+ * @param {Object} exceptions
+ * @param {Object} [options]
+ * @param {boolean} [options.skipTransactionValidation] - Transactions were already validated by a verification worker
  * @throws {string|Error}
  * @returns {Object} Normalized block
  * @todo Add description for the function and the params
  */
-const objectNormalize = (block, exceptions = {}) => {
+const objectNormalize = (
+	block,
+	exceptions = {},
+	{ skipTransactionValidation = false } = {},
+) => {
 	Object.keys(block).forEach(key => {
 		if (block[key] === null || typeof block[key] === 'undefined') {
 			delete block[key];
@@ -246,6 +254,10 @@ const objectNormalize = (block, exceptions = {}) => {
 		throw errors;
 	}
 
+	if (skipTransactionValidation) {
+		return block;
+	}
+
 	const { transactionsResponses } = validateTransactions(exceptions)(
 		block.transactions,
 	);
@@ -298,6 +310,20 @@ const sortTransactions = transactions =>
 		return 0;
 	});
 
+/**
+ * Calculates the payload hash of a block.
+ * Blocks with a Merkle payload version hash the transaction bytes into a Merkle tree so that the inclusion
+ * of a single transaction can be proven, older versions hash the concatenated transaction bytes.
+ *
+ * @param {number} version - Block version
+ * @param {Array.<Buffer>} transactionsBytesArray - Bytes of the block transactions in block order
+ * @returns {string} Payload hash as hex string
+ */
+const calculatePayloadHash = (version, transactionsBytesArray) =>
+	blockVersion.hasMerklePayload(version)
+		? computeMerkleRoot(transactionsBytesArray)
+		: hash(Buffer.concat(transactionsBytesArray)).toString('hex');
+
 /**
  * Sorts input data transactions.
  * Calculates reward based on previous block data.
@@ -347,11 +373,11 @@ const create = ({
 		transactionsBytesArray.push(transactionBytes);
 	}
 
-	const transactionsBuffer = Buffer.concat(transactionsBytesArray);
-	const payloadHash = hash(transactionsBuffer).toString('hex');
+	const version = blockVersion.getBlockVersion(nextHeight, exceptions);
+	const payloadHash = calculatePayloadHash(version, transactionsBytesArray);
 
 	const block = {
-		version: blockVersion.currentBlockVersion,
+		version,
 		totalAmount,
 		totalFee,
 		reward,
@@ -494,6 +520,7 @@ module.exports = {
 	storageRead,
 	sortTransactions,
 	getBytes,
+	calculatePayloadHash,
 	verifySignature,
 	objectNormalize,
 };
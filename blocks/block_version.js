@@ -22,7 +22,40 @@
 const currentBlockVersion = 1;
 
 /**
- * Checks if block version is valid - if match current version or there is an exception for provided block height.
+ * Block version whose payload hash is the Merkle root of the transaction bytes.
+ *
+ * @property {number} merklePayloadBlockVersion
+ */
+const merklePayloadBlockVersion = 2;
+
+/**
+ * Returns the block version which must be used at the provided height.
+ * Newer versions are activated from the heights configured in exceptions.blockVersionActivations
+ * (version as key, first height as value), before that the current block version is used.
+ *
+ * @param {number} height - Block height
+ * @param {Object} [exceptions]
+ * @returns {number}
+ */
+const getBlockVersion = (height, exceptions = {}) => {
+	const activations = exceptions.blockVersionActivations || {};
+	return Object.keys(activations)
+		.map(Number)
+		.filter(version => height >= activations[version])
+		.reduce((latest, version) => Math.max(latest, version), currentBlockVersion);
+};
+
+/**
+ * Checks if the payload hash of a block with the provided version is a Merkle root of its transaction bytes.
+ *
+ * @param {number} version - Block version
+ * @returns {boolean}
+ */
+const hasMerklePayload = version => version >= merklePayloadBlockVersion;
+
+/**
+ * Checks if block version is valid - if match the version active at the provided block height
+ * or there is an exception for provided block height.
  *
  * @param {number} version - Block version
  * @param {number} height - Block height
@@ -41,8 +74,8 @@ const isValid = (version, height, exceptions = {}) => {
 	);
 
 	if (exceptionVersion === undefined) {
-		// If there is no exception for provided height - check against current block version
-		return version === currentBlockVersion;
+		// If there is no exception for provided height - check against the version active at that height
+		return version === getBlockVersion(height, exceptions);
 	}
 
 	// If there is an exception - check if version match
@@ -51,5 +84,8 @@ const isValid = (version, height, exceptions = {}) => {
 
 module.exports = {
 	isValid,
+	getBlockVersion,
+	hasMerklePayload,
 	currentBlockVersion,
+	merklePayloadBlockVersion,
 };
@@ -17,9 +17,15 @@
 const EventEmitter = require('events');
 const { cloneDeep } = require('lodash');
 const blocksUtils = require('./utils');
+const blocksLogic = require('./block');
+const { BlockVerificationError } = require('../utils/error_handlers');
+const { getBlockHeader } = require('./header_chain');
 const { BlocksProcess } = require('./process');
 const { BlocksVerify } = require('./verify');
 const { BlocksChain } = require('./chain');
+const { BlocksFinality } = require('./finality');
+const { BlocksAudit } = require('./audit');
+const { VerificationPool } = require('./verification_pool');
 const {
 	calculateSupply,
 	calculateReward,
@@ -30,6 +36,9 @@ const EVENT_NEW_BLOCK = 'EVENT_NEW_BLOCK';
 const EVENT_DELETE_BLOCK = 'EVENT_DELETE_BLOCK';
 const EVENT_BROADCAST_BLOCK = 'EVENT_BROADCAST_BLOCK';
 const EVENT_NEW_BROADHASH = 'EVENT_NEW_BROADHASH';
+const EVENT_NEW_FINALIZED_HEIGHT = 'EVENT_NEW_FINALIZED_HEIGHT';
+
+const MAX_BLOCK_HEADERS_PER_REQUEST = 1000;
 
 class Blocks extends EventEmitter {
 	constructor({
@@ -44,6 +53,7 @@ class Blocks extends EventEmitter {
 		// Modules
 		roundsModule,
 		interfaceAdapters,
+		eventLog,
 		// constants
 		blockReceiptTimeout, // set default
 		loadPerIteration,
@@ -55,6 +65,8 @@ class Blocks extends EventEmitter {
 		rewardMileStones,
 		totalAmount,
 		blockSlotWindow,
+		checkpoints,
+		verificationWorkers,
 	}) {
 		super();
 
@@ -73,6 +85,7 @@ class Blocks extends EventEmitter {
 		this.interfaceAdapters = interfaceAdapters;
 		this.slots = slots;
 		this.sequence = sequence;
+		this.eventLog = eventLog;
 		this.blockRewardArgs = {
 			distance: rewardDistance,
 			rewardOffset,
@@ -101,6 +114,13 @@ class Blocks extends EventEmitter {
 			slots: this.slots,
 			exceptions: this.exceptions,
 			genesisBlock: this.genesisBlock,
+			eventLog,
+		});
+		this.blocksFinality = new BlocksFinality({
+			storage: this.storage,
+			roundsModule: this.roundsModule,
+			slots: this.slots,
+			activeDelegates,
 		});
 		this.blocksVerify = new BlocksVerify({
 			storage: this.storage,
@@ -111,6 +131,8 @@ class Blocks extends EventEmitter {
 			blockReward: this.blockReward,
 			constants: this.constants,
 			interfaceAdapters: this.interfaceAdapters,
+			blocksFinality: this.blocksFinality,
+			checkpoints,
 		});
 		this.blocksProcess = new BlocksProcess({
 			blocksChain: this.blocksChain,
@@ -123,6 +145,20 @@ class Blocks extends EventEmitter {
 			blockReward: this.blockReward,
 			constants: this.constants,
 		});
+		this.blocksAudit = new BlocksAudit({
+			storage: this.storage,
+			interfaceAdapters: this.interfaceAdapters,
+			genesisBlock: this.genesisBlock,
+			slots: this.slots,
+			exceptions: this.exceptions,
+			blockReward: this.blockReward,
+			constants: this.constants,
+		});
+		this.verificationPool = new VerificationPool({
+			logger: this.logger,
+			workerCount: verificationWorkers,
+			exceptions: this.exceptions,
+		});
 	}
 
 	get lastBlock() {
@@ -141,6 +177,10 @@ class Blocks extends EventEmitter {
 		return this._broadhash;
 	}
 
+	get finalizedHeight() {
+		return this.blocksFinality.finalizedHeight;
+	}
+
 	/**
 	 * Returns status of last receipt - if it stale or not.
 	 *
@@ -185,6 +225,7 @@ class Blocks extends EventEmitter {
 	 */
 	async cleanup() {
 		this._cleaning = true;
+		await this.verificationPool.stop();
 		if (!this._isActive) {
 			// Module ready for shutdown
 			return;
@@ -302,21 +343,229 @@ class Blocks extends EventEmitter {
 		this.logger.info('Blockchain ready');
 	}
 
-	async recoverChain() {
-		const originalLastBlock = cloneDeep(this._lastBlock);
-		this._lastBlock = await this.blocksChain.deleteLastBlock(this._lastBlock);
-		this.emit(EVENT_DELETE_BLOCK, {
-			block: originalLastBlock,
-			newLastBlock: cloneDeep(this._lastBlock),
-		});
+	/**
+	 * Computes the finalized height from the most recent blocks, should be called once the blockchain is loaded.
+	 *
+	 * @returns {Promise.<number>} Finalized height
+	 */
+	async loadFinalizedHeight() {
+		const finalizedHeight = await this.blocksFinality.init(this._lastBlock);
+		this.logger.info({ finalizedHeight }, 'Loaded finalized height');
+		return finalizedHeight;
+	}
+
+	/**
+	 * Verifies the stored blockchain without modifying it and reports the first inconsistent block.
+	 *
+	 * @param {number} fromHeight - Height to start or resume the audit from
+	 * @returns {Promise.<Object>} Audit result
+	 */
+	async auditBlockChain(fromHeight) {
+		if (!Number.isInteger(fromHeight) || fromHeight < 1) {
+			throw new Error(
+				'Unable to audit, "--audit" parameter should be an integer greater than zero',
+			);
+		}
+		this._shouldNotBeActive();
+		this._isActive = true;
+		this.logger.info({ fromHeight }, 'Audit process started');
+		let result;
+		try {
+			result = await this.blocksAudit.audit(
+				fromHeight,
+				() => this._cleaning,
+				block => {
+					this.logger.info(
+						{ blockId: block.id, height: block.height },
+						'Audited block',
+					);
+				},
+			);
+		} finally {
+			this._isActive = false;
+		}
+		const { roundsWithoutDelegateList } = result;
+		if (roundsWithoutDelegateList.length) {
+			this.logger.warn(
+				{
+					roundsCount: roundsWithoutDelegateList.length,
+					fromRound: roundsWithoutDelegateList[0],
+					toRound: roundsWithoutDelegateList[roundsWithoutDelegateList.length - 1],
+				},
+				'Delegate lists of some rounds are not stored, only the consistency of their generators was verified',
+			);
+		}
+		if (result.verified) {
+			this.logger.info(
+				{ lastVerifiedHeight: result.lastVerifiedHeight },
+				'Audit finished',
+			);
+		} else {
+			this.logger.error(
+				{
+					height: result.height,
+					blockId: result.blockId,
+					reason: result.reason,
+					resumeFromHeight: result.height,
+				},
+				'Audit found an inconsistent block',
+			);
+		}
+		return result;
+	}
+
+	/**
+	 * Deletes all the blocks above a block of the current chain, so that the chain of another peer
+	 * can be applied on top of it.
+	 * Like loadBlocksFromNetwork, it must be called from a task of the sequence, the Loader calls it
+	 * from the sync task.
+	 *
+	 * @param {Object} commonBlock - Block of the current chain with id and height
+	 * @throws {Error} If the block is below the finalized height or is not part of the current chain
+	 * @returns {Promise.<Object>} New last block
+	 */
+	async revertToBlock(commonBlock) {
+		if (commonBlock.height < this.blocksFinality.finalizedHeight) {
+			throw new Error(
+				`Cannot revert to block ${commonBlock.id} at height ${
+					commonBlock.height
+				} because the chain is finalized up to height ${
+					this.blocksFinality.finalizedHeight
+				}`,
+			);
+		}
+		this._shouldNotBeActive();
+		this._isActive = true;
+		try {
+			while (this._lastBlock.height > commonBlock.height) {
+				// eslint-disable-next-line no-await-in-loop
+				await this._deleteLastBlock();
+			}
+			if (this._lastBlock.id !== commonBlock.id) {
+				throw new Error(
+					`Block ${commonBlock.id} at height ${
+						commonBlock.height
+					} is not part of the current chain`,
+				);
+			}
+			await this._updateBroadhash();
+		} finally {
+			this._isActive = false;
+		}
 		return this._lastBlock;
 	}
 
+	/**
+	 * Keeps the finalized height from advancing while the chain of a peer is applied on trial.
+	 */
+	holdFinality() {
+		this.blocksFinality.hold();
+	}
+
+	async releaseFinality() {
+		let hasChanged;
+		try {
+			hasChanged = await this.blocksFinality.release(this._lastBlock);
+		} catch (error) {
+			this.logger.error(error, 'Failed to update finalized height');
+			return;
+		}
+		if (hasChanged) {
+			this.emit(EVENT_NEW_FINALIZED_HEIGHT, {
+				finalizedHeight: this.blocksFinality.finalizedHeight,
+				finalizedBlockId: this.blocksFinality.finalizedBlockId,
+			});
+		}
+	}
+
+	isConflictingWithCheckpoint(block) {
+		return this.blocksVerify.isConflictingWithCheckpoint(block);
+	}
+
 	async loadBlocksDataWS(filter, tx) {
 		return blocksUtils.loadBlocksDataWS(this.storage, filter, tx);
 	}
 
-	// Process a block from the P2P
+	async loadBlocksWithTransactions(filter, tx) {
+		const rows = await blocksUtils.loadBlocksDataWS(this.storage, filter, tx);
+		return blocksUtils.readDbRows(
+			rows,
+			this.interfaceAdapters,
+			this.genesisBlock,
+		);
+	}
+
+	/**
+	 * Loads the signed headers of a height range along with the delegate lists needed to verify their generators.
+	 *
+	 * @param {number} fromHeight - Inclusive
+	 * @param {number} toHeight - Inclusive, capped to MAX_BLOCK_HEADERS_PER_REQUEST headers
+	 * @returns {Promise.<Object>} headers and delegateLists by round
+	 */
+	async getBlockHeaders(fromHeight, toHeight) {
+		toHeight = Math.min(toHeight, fromHeight + MAX_BLOCK_HEADERS_PER_REQUEST - 1);
+		if (toHeight < fromHeight) {
+			return { headers: [], delegateLists: {} };
+		}
+		const rows = await this.storage.entities.Block.get(
+			{ height_gte: fromHeight, height_lte: toHeight },
+			{ limit: toHeight - fromHeight + 1, sort: 'height:asc' },
+		);
+		const headers = rows.map(row =>
+			getBlockHeader(blocksLogic.storageRead(row)),
+		);
+		if (!headers.length) {
+			return { headers, delegateLists: {} };
+		}
+		const delegateLists = await this.getDelegateLists(
+			this.slots.calcRound(headers[0].height),
+			this.slots.calcRound(headers[headers.length - 1].height),
+		);
+		return { headers, delegateLists };
+	}
+
+	/**
+	 * Gets the delegate lists of a range of rounds according to our own chain.
+	 * The lists of finished rounds are stored when the round ends, the list of the round of the next block
+	 * is generated. Lists of later rounds are unknown and rounds which ended before the lists were stored
+	 * are missing until the blockchain is rebuilt.
+	 *
+	 * @param {number} fromRound - Inclusive
+	 * @param {number} toRound - Inclusive
+	 * @returns {Promise.<Object>} Delegate lists by round
+	 */
+	async getDelegateLists(fromRound, toRound) {
+		const storedLists = await this.storage.entities.Round.getDelegateLists(
+			fromRound,
+			toRound,
+		);
+		const delegateLists = storedLists.reduce(
+			(lists, { round, delegatePublicKeys }) => {
+				lists[round] = delegatePublicKeys;
+				return lists;
+			},
+			{},
+		);
+		const nextRound = this.slots.calcRound(this._lastBlock.height + 1);
+		if (
+			nextRound >= fromRound &&
+			nextRound <= toRound &&
+			!delegateLists[nextRound]
+		) {
+			delegateLists[nextRound] = await this.roundsModule.generateDelegateList(
+				nextRound,
+			);
+		}
+		return delegateLists;
+	}
+
+	/**
+	 * Processes a block received from the P2P.
+	 * Blocks which do not match the current chain are discarded silently.
+	 *
+	 * @param {Object} block - Normalized block
+	 * @throws {BlockVerificationError} If the block builds on the last block but fails verification
+	 */
 	async receiveBlockFromNetwork(block) {
 		return this.sequence.add(async () => {
 			this._shouldNotBeActive();
@@ -332,14 +581,30 @@ class Blocks extends EventEmitter {
 					);
 					await this._updateBroadhash();
 					this._lastBlock = newBlock;
+					await this._updateFinalizedHeight(this._lastBlock);
 					this._isActive = false;
 					this.emit(EVENT_NEW_BLOCK, { block: cloneDeep(this._lastBlock) });
 				} catch (error) {
 					this._isActive = false;
 					this.logger.error(error);
+					if (error instanceof BlockVerificationError) {
+						throw error;
+					}
 				}
 				return;
 			}
+			if (this.blocksVerify.isConflictingWithFinalizedBlock(block)) {
+				this.logger.warn(
+					{
+						blockId: block.id,
+						height: block.height,
+						finalizedHeight: this.blocksFinality.finalizedHeight,
+					},
+					'Discarded block that conflicts with the finalized chain',
+				);
+				this._isActive = false;
+				return;
+			}
 			if (this.blocksVerify.isForkOne(block, this._lastBlock)) {
 				this.roundsModule.fork(block, 1);
 				if (this.blocksVerify.shouldDiscardForkOne(block, this._lastBlock)) {
@@ -359,23 +624,13 @@ class Blocks extends EventEmitter {
 					if (!verified) {
 						throw errors;
 					}
-					const originalLastBlock = cloneDeep(this._lastBlock);
-					this._lastBlock = await this.blocksChain.deleteLastBlock(
-						this._lastBlock,
-					);
-					this.emit(EVENT_DELETE_BLOCK, {
-						block: originalLastBlock,
-						newLastBlock: cloneDeep(this._lastBlock),
-					});
-					// emit event
-					const secondLastBlock = cloneDeep(this._lastBlock);
-					this._lastBlock = await this.blocksChain.deleteLastBlock(
-						this._lastBlock,
-					);
-					this.emit(EVENT_DELETE_BLOCK, {
-						block: secondLastBlock,
-						newLastBlock: cloneDeep(this._lastBlock),
+					// Both blocks must be reversible, otherwise the chain would be left half rolled back
+					this.blocksFinality.verifyReversible({
+						id: this._lastBlock.previousBlock,
+						height: this._lastBlock.height - 1,
 					});
+					await this._deleteLastBlock();
+					await this._deleteLastBlock();
 					this._isActive = false;
 				} catch (error) {
 					this._isActive = false;
@@ -409,21 +664,14 @@ class Blocks extends EventEmitter {
 					if (!verified) {
 						throw errors;
 					}
-					const deletingBlock = cloneDeep(this._lastBlock);
-					this._lastBlock = await this.blocksChain.deleteLastBlock(
-						this._lastBlock,
-					);
-					this.emit(EVENT_DELETE_BLOCK, {
-						block: deletingBlock,
-						newLastBlock: cloneDeep(this._lastBlock),
-					});
-					// emit event
+					await this._deleteLastBlock();
 					this._lastBlock = await this.blocksProcess.processBlock(
 						block,
 						this._lastBlock,
 						validBlock => this.broadcast(validBlock),
 					);
 					await this._updateBroadhash();
+					await this._updateFinalizedHeight(this._lastBlock);
 					this.emit(EVENT_NEW_BLOCK, { block: cloneDeep(this._lastBlock) });
 					this._isActive = false;
 				} catch (error) {
@@ -462,8 +710,16 @@ class Blocks extends EventEmitter {
 				this.interfaceAdapters,
 				this.genesisBlock,
 			);
+			// Signatures of the whole batch are verified in parallel, blocks are still applied in order
+			const preVerified = await this.verificationPool.verifyBlocks(
+				normalizedBlocks,
+			);
+			const checkpointLinkedHeight = this.blocksVerify.getCheckpointLinkedHeight(
+				normalizedBlocks,
+				this._lastBlock,
+			);
 			// eslint-disable-next-line no-restricted-syntax
-			for (const block of normalizedBlocks) {
+			for (const [index, block] of normalizedBlocks.entries()) {
 				// check if it's cleaning
 				if (this._cleaning) {
 					break;
@@ -472,9 +728,17 @@ class Blocks extends EventEmitter {
 				this._lastBlock = await this.blocksProcess.processBlock(
 					block,
 					this._lastBlock,
+					undefined,
+					{
+						skipSignature:
+							preVerified[index] || block.height <= checkpointLinkedHeight,
+						skipTransactionValidation: preVerified[index],
+					},
 				);
 				// emit event
 				this._updateLastNBlocks(block);
+				// eslint-disable-next-line no-await-in-loop
+				await this._updateFinalizedHeight(this._lastBlock);
 				this.emit(EVENT_NEW_BLOCK, { block: cloneDeep(block) });
 			}
 			this._isActive = false;
@@ -508,6 +772,7 @@ class Blocks extends EventEmitter {
 		await this._updateBroadhash();
 		this._updateLastReceipt();
 		this._updateLastNBlocks(this._lastBlock);
+		await this._updateFinalizedHeight(this._lastBlock);
 		this.emit(EVENT_NEW_BLOCK, { block: cloneDeep(this._lastBlock) });
 		this._isActive = false;
 		return this._lastBlock;
@@ -540,8 +805,17 @@ class Blocks extends EventEmitter {
 				: Math.min(totalRounds, parseInt(rebuildUpToRound, 10));
 		const targetHeight = targetRound * this.constants.activeDelegates;
 		this._lastBlock = await this._reload(targetHeight);
-		// Remove remaining
-		await this.storage.entities.Block.delete({ height_gt: targetHeight });
+		// Remove remaining, the consumers of the event log are told that the blocks were reverted
+		await this.storage.entities.Block.begin('Blocks:rebuildMode', async tx => {
+			if (this.eventLog) {
+				await this.eventLog.recordBlocksRevertedAbove(targetHeight, tx);
+			}
+			await this.storage.entities.Block.delete(
+				{ height_gt: targetHeight },
+				{},
+				tx,
+			);
+		});
 		this.logger.info({ targetHeight, totalRounds }, 'Rebuilding finished');
 	}
 
@@ -567,6 +841,35 @@ class Blocks extends EventEmitter {
 		this.emit(EVENT_NEW_BROADHASH, { broadhash, height });
 	}
 
+	async _updateFinalizedHeight(block) {
+		let hasChanged;
+		try {
+			hasChanged = await this.blocksFinality.addBlock(block);
+		} catch (error) {
+			this.logger.error(error, 'Failed to update finalized height');
+			return;
+		}
+		if (hasChanged) {
+			this.emit(EVENT_NEW_FINALIZED_HEIGHT, {
+				finalizedHeight: this.blocksFinality.finalizedHeight,
+				finalizedBlockId: this.blocksFinality.finalizedBlockId,
+			});
+		}
+	}
+
+	// Blocks at or below the finalized height are irreversible
+	async _deleteLastBlock() {
+		const originalLastBlock = cloneDeep(this._lastBlock);
+		this.blocksFinality.verifyReversible(originalLastBlock);
+		this._lastBlock = await this.blocksChain.deleteLastBlock(this._lastBlock);
+		this.blocksFinality.deleteBlock(originalLastBlock);
+		this.emit(EVENT_DELETE_BLOCK, {
+			block: originalLastBlock,
+			newLastBlock: cloneDeep(this._lastBlock),
+		});
+		return this._lastBlock;
+	}
+
 	_shouldNotBeActive() {
 		if (this._isActive) {
 			throw new Error('Block process cannot be executed in parallel');
@@ -594,4 +897,6 @@ module.exports = {
 	EVENT_DELETE_BLOCK,
 	EVENT_BROADCAST_BLOCK,
 	EVENT_NEW_BROADHASH,
+	EVENT_NEW_FINALIZED_HEIGHT,
+	MAX_BLOCK_HEADERS_PER_REQUEST,
 };
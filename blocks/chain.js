@@ -164,6 +164,7 @@ const applyConfirmedStep = async (storage, slots, block, exceptions, tx) => {
 	}
 
 	await stateStore.account.finalize();
+	await stateStore.multisigSignature.finalize();
 	stateStore.round.setRoundForData(slots.calcRound(block.height));
 	await stateStore.round.finalize();
 };
@@ -228,6 +229,7 @@ const undoConfirmedStep = async (storage, slots, block, exceptions, tx) => {
 	}
 
 	await stateStore.account.finalize();
+	await stateStore.multisigSignature.finalize();
 
 	stateStore.round.setRoundForData(slots.calcRound(block.height));
 
@@ -278,6 +280,7 @@ const popLastBlock = async (
 	slots,
 	oldLastBlock,
 	exceptions,
+	eventLog,
 ) =>
 	storage.entities.Block.begin('Chain:deleteBlock', async tx => {
 		const [storageResult] = await storage.entities.Block.get(
@@ -298,6 +301,9 @@ const popLastBlock = async (
 		await undoConfirmedStep(storage, slots, oldLastBlock, exceptions, tx);
 		await backwardTickStep(roundsModule, oldLastBlock, secondLastBlock, tx);
 		await deleteBlock(storage, oldLastBlock.id, tx);
+		if (eventLog) {
+			await eventLog.recordBlockReverted(oldLastBlock, tx);
+		}
 		return secondLastBlock;
 	});
 
@@ -309,6 +315,7 @@ class BlocksChain {
 		slots,
 		exceptions,
 		genesisBlock,
+		eventLog,
 	}) {
 		this.storage = storage;
 		this.interfaceAdapters = interfaceAdapters;
@@ -316,6 +323,7 @@ class BlocksChain {
 		this.slots = slots;
 		this.exceptions = exceptions;
 		this.genesisBlock = genesisBlock;
+		this.eventLog = eventLog;
 	}
 
 	/**
@@ -369,6 +377,10 @@ class BlocksChain {
 				shouldSave,
 				tx,
 			);
+			// Blocks which are applied again while rebuilding are already part of the event log
+			if (shouldSave && this.eventLog) {
+				await this.eventLog.recordBlockApplied(block, tx);
+			}
 		});
 	}
 
@@ -429,6 +441,7 @@ class BlocksChain {
 			this.slots,
 			lastBlock,
 			this.exceptions,
+			this.eventLog,
 		);
 		return previousBlock;
 	}
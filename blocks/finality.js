@@ -0,0 +1,193 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const FINALITY_THRESHOLD_RATIO = 2 / 3;
+
+/**
+ * Tracks the height below which blocks can no longer be reverted.
+ * A block becomes irreversible once at least 2/3 of the active delegates have forged on top of it.
+ * Only delegates which are part of the delegate list of the round of the last block are counted
+ * so that delegates which were voted out can not contribute to the finality of new blocks.
+ *
+ * @class
+ * @param {Object} storage
+ * @param {Object} roundsModule
+ * @param {Object} slots
+ * @param {number} activeDelegates
+ */
+class BlocksFinality {
+	constructor({ storage, roundsModule, slots, activeDelegates }) {
+		this.storage = storage;
+		this.roundsModule = roundsModule;
+		this.slots = slots;
+		this.activeDelegates = activeDelegates;
+		this.threshold = Math.ceil(activeDelegates * FINALITY_THRESHOLD_RATIO);
+		// Headers of the blocks which are not finalized yet, ordered by height
+		this._headers = [];
+		this._finalizedBlock = { id: null, height: 0 };
+		this._isHeld = false;
+	}
+
+	get finalizedHeight() {
+		return this._finalizedBlock.height;
+	}
+
+	get finalizedBlockId() {
+		return this._finalizedBlock.id;
+	}
+
+	/**
+	 * Loads the headers of the most recent blocks and computes the finalized height from them.
+	 *
+	 * @param {Object} lastBlock
+	 * @returns {Promise.<number>} Finalized height
+	 */
+	async init(lastBlock) {
+		const rows = await this.storage.entities.Block.get(
+			{ height_lte: lastBlock.height },
+			{ limit: this.activeDelegates * 2, sort: 'height:desc' },
+		);
+		this._headers = rows.reverse().map(row => ({
+			id: row.id,
+			height: row.height,
+			generatorPublicKey: row.generatorPublicKey,
+		}));
+		return this._updateFinalizedBlock(lastBlock);
+	}
+
+	/**
+	 * Adds a new block on top of the chain and advances the finalized height if possible.
+	 *
+	 * @param {Object} block
+	 * @returns {Promise.<boolean>} True if the finalized height changed
+	 */
+	async addBlock(block) {
+		this._headers.push({
+			id: block.id,
+			height: block.height,
+			generatorPublicKey: block.generatorPublicKey,
+		});
+		if (this._isHeld) {
+			return false;
+		}
+		const previousFinalizedHeight = this.finalizedHeight;
+		await this._updateFinalizedBlock(block);
+		return this.finalizedHeight !== previousFinalizedHeight;
+	}
+
+	/**
+	 * Stops advancing the finalized height, so that the blocks which are added can still be reverted.
+	 * Used while switching to the chain of a peer which might turn out to be invalid.
+	 */
+	hold() {
+		this._isHeld = true;
+	}
+
+	/**
+	 * Resumes advancing the finalized height and catches up with the blocks added while it was held.
+	 *
+	 * @param {Object} lastBlock
+	 * @returns {Promise.<boolean>} True if the finalized height changed
+	 */
+	async release(lastBlock) {
+		this._isHeld = false;
+		const previousFinalizedHeight = this.finalizedHeight;
+		await this._updateFinalizedBlock(lastBlock);
+		return this.finalizedHeight !== previousFinalizedHeight;
+	}
+
+	/**
+	 * Removes the last block of the chain, the block must not be finalized.
+	 *
+	 * @param {Object} block
+	 */
+	deleteBlock(block) {
+		this.verifyReversible(block);
+		this._headers = this._headers.filter(header => header.id !== block.id);
+	}
+
+	/**
+	 * Throws if the block is at or below the finalized height.
+	 *
+	 * @param {Object} block
+	 * @throws {Error}
+	 */
+	verifyReversible(block) {
+		if (block.height <= this.finalizedHeight) {
+			throw new Error(
+				`Cannot delete block ${block.id} at height ${
+					block.height
+				} because the chain is finalized up to height ${this.finalizedHeight}`,
+			);
+		}
+	}
+
+	/**
+	 * Checks whether a block would replace a finalized block or be built on a different
+	 * block than the last finalized one.
+	 *
+	 * @param {Object} block
+	 * @returns {boolean}
+	 */
+	isConflicting(block) {
+		if (block.height <= this.finalizedHeight) {
+			return true;
+		}
+		return (
+			block.height === this.finalizedHeight + 1 &&
+			!!this.finalizedBlockId &&
+			block.previousBlock !== this.finalizedBlockId
+		);
+	}
+
+	async _updateFinalizedBlock(lastBlock) {
+		const round = this.slots.calcRound(lastBlock.height);
+		const delegateList = await this.roundsModule.generateDelegateList(round);
+		const activeDelegatePublicKeys = new Set(delegateList);
+		const forgers = new Set();
+
+		// Walk from the top of the chain down, a block is final once enough distinct delegates forged above it
+		for (let i = this._headers.length - 1; i > 0; i--) {
+			const { generatorPublicKey } = this._headers[i];
+			if (activeDelegatePublicKeys.has(generatorPublicKey)) {
+				forgers.add(generatorPublicKey);
+			}
+			if (forgers.size >= this.threshold) {
+				const finalizedHeader = this._headers[i - 1];
+				if (finalizedHeader.height > this.finalizedHeight) {
+					this._finalizedBlock = {
+						id: finalizedHeader.id,
+						height: finalizedHeader.height,
+					};
+				}
+				break;
+			}
+		}
+
+		this._headers = this._headers.filter(
+			header => header.height > this.finalizedHeight,
+		);
+		if (this._headers.length > this.activeDelegates * 2) {
+			this._headers = this._headers.slice(-this.activeDelegates * 2);
+		}
+		return this.finalizedHeight;
+	}
+}
+
+module.exports = {
+	BlocksFinality,
+	FINALITY_THRESHOLD_RATIO,
+};
@@ -0,0 +1,159 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const blocksLogic = require('./block');
+
+/**
+ * Converts a block into a signed header, which contains every field that is part of the signed block bytes.
+ *
+ * @param {Object} block - Block as read from storage
+ * @returns {Object} Block header
+ */
+const getBlockHeader = block => ({
+	id: block.id,
+	height: block.height,
+	version: block.version,
+	timestamp: block.timestamp,
+	previousBlockId: block.previousBlock || null,
+	numberOfTransactions: block.numberOfTransactions,
+	totalAmount: block.totalAmount.toString(),
+	totalFee: block.totalFee.toString(),
+	reward: block.reward.toString(),
+	payloadLength: block.payloadLength,
+	payloadHash: block.payloadHash,
+	generatorPublicKey: block.generatorPublicKey,
+	blockSignature: block.blockSignature,
+});
+
+const toSignedBlock = header => ({
+	...header,
+	previousBlock: header.previousBlockId,
+});
+
+/**
+ * Verifies a single block header against the header it builds on.
+ *
+ * @param {Object} header - Header to verify
+ * @param {Object} previousHeader - Already verified header at the previous height
+ * @param {Object} options
+ * @param {Object} options.slots - BlockSlots instance
+ * @param {number} options.activeDelegates - Number of active delegates
+ * @param {Array.<string>} [options.delegateList] - Delegate list of the round of the header
+ * @returns {Array.<Error>} Verification errors, empty if the header is valid
+ */
+const verifyBlockHeader = (
+	header,
+	previousHeader,
+	{ slots, activeDelegates, delegateList },
+) => {
+	const errors = [];
+	const block = toSignedBlock(header);
+
+	try {
+		if (blocksLogic.getId(block) !== header.id) {
+			errors.push(new Error(`Invalid id for block header ${header.id}`));
+		}
+		if (!blocksLogic.verifySignature(block)) {
+			errors.push(new Error(`Invalid signature for block header ${header.id}`));
+		}
+	} catch (error) {
+		errors.push(error);
+	}
+
+	if (
+		header.previousBlockId !== previousHeader.id ||
+		header.height !== previousHeader.height + 1
+	) {
+		errors.push(
+			new Error(
+				`Block header ${header.id} at height ${
+					header.height
+				} does not build on block ${previousHeader.id} at height ${
+					previousHeader.height
+				}`,
+			),
+		);
+	}
+
+	const slot = slots.getSlotNumber(header.timestamp);
+	if (slot <= slots.getSlotNumber(previousHeader.timestamp)) {
+		errors.push(new Error(`Invalid timestamp for block header ${header.id}`));
+	}
+
+	if (!delegateList) {
+		errors.push(
+			new Error(
+				`Missing delegate list to verify the generator of block header ${
+					header.id
+				}`,
+			),
+		);
+	} else if (delegateList[slot % activeDelegates] !== header.generatorPublicKey) {
+		errors.push(
+			new Error(
+				`Generator ${header.generatorPublicKey} was not eligible to forge block header ${
+					header.id
+				} in slot ${slot}`,
+			),
+		);
+	}
+
+	return errors;
+};
+
+/**
+ * Verifies a list of consecutive block headers starting from a trusted header.
+ * Verification stops at the first invalid header.
+ *
+ * @param {Array.<Object>} headers - Headers in ascending height order
+ * @param {Object} options
+ * @param {Object} options.trustedHeader - Header which the first header must build on
+ * @param {Object} options.slots - BlockSlots instance
+ * @param {number} options.activeDelegates - Number of active delegates
+ * @param {Object} options.delegateLists - Delegate lists by round number
+ * @returns {Object} result
+ * @returns {boolean} result.verified - Indicator that all the headers are valid
+ * @returns {Array} result.errors - Errors of the first invalid header
+ * @returns {Object} result.lastVerifiedHeader - Last header which was successfully verified
+ */
+const verifyHeaderChain = (
+	headers,
+	{ trustedHeader, slots, activeDelegates, delegateLists = {} },
+) => {
+	let lastVerifiedHeader = trustedHeader;
+
+	// eslint-disable-next-line no-restricted-syntax
+	for (const header of headers) {
+		const errors = verifyBlockHeader(header, lastVerifiedHeader, {
+			slots,
+			activeDelegates,
+			delegateList: delegateLists[slots.calcRound(header.height)],
+		});
+		if (errors.length) {
+			return { verified: false, errors, lastVerifiedHeader };
+		}
+		lastVerifiedHeader = header;
+	}
+
+	return { verified: true, errors: [], lastVerifiedHeader };
+};
+
+module.exports = {
+	getBlockHeader,
+	toSignedBlock,
+	verifyBlockHeader,
+	verifyHeaderChain,
+};
@@ -0,0 +1,122 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { hash, getFirstEightBytesReversed } = require('@liskhq/lisk-cryptography');
+const BigNum = require('@liskhq/bignum');
+const blocksLogic = require('./block');
+const blockVersion = require('./block_version');
+const { computeMerkleProof, verifyMerkleProof } = require('./merkle');
+
+// Transaction ids are derived from the transaction bytes the same way as in lisk-transactions
+const getTransactionIdFromBytes = transactionBytes =>
+	BigNum.fromBuffer(
+		getFirstEightBytesReversed(hash(transactionBytes)),
+	).toString();
+
+/**
+ * Creates the proof that a transaction is part of a block.
+ *
+ * @param {Object} block - Full block with transactions in block order
+ * @param {string} transactionId
+ * @throws {Error} If the block version does not support proofs or the transaction is not in the block
+ * @returns {Object} Inclusion proof
+ */
+const createTransactionInclusionProof = (block, transactionId) => {
+	if (!blockVersion.hasMerklePayload(block.version)) {
+		throw new Error(
+			`Block ${block.id} with version ${
+				block.version
+			} does not support transaction inclusion proofs`,
+		);
+	}
+	const index = block.transactions.findIndex(
+		transaction => transaction.id === transactionId,
+	);
+	if (index === -1) {
+		throw new Error(
+			`Transaction ${transactionId} is not part of block ${block.id}`,
+		);
+	}
+	const transactionsBytes = block.transactions.map(transaction =>
+		transaction.getBytes(),
+	);
+	return {
+		transactionId,
+		transactionBytes: transactionsBytes[index].toString('hex'),
+		blockId: block.id,
+		height: block.height,
+		index,
+		payloadHash: block.payloadHash,
+		proof: computeMerkleProof(transactionsBytes, index),
+	};
+};
+
+/**
+ * Verifies a transaction inclusion proof against a block header.
+ * The header is checked to be consistent with its id and signed by its generator so that a chain which
+ * only keeps track of Leasehold block headers can trust the payload hash.
+ *
+ * @param {Object} inclusionProof - Proof as returned by createTransactionInclusionProof
+ * @param {Object} blockHeader - Block header without transactions
+ * @returns {boolean}
+ */
+const verifyTransactionInclusionProof = (inclusionProof, blockHeader) => {
+	if (!inclusionProof || !blockHeader) {
+		return false;
+	}
+	if (
+		inclusionProof.blockId !== blockHeader.id ||
+		inclusionProof.payloadHash !== blockHeader.payloadHash ||
+		!blockVersion.hasMerklePayload(blockHeader.version)
+	) {
+		return false;
+	}
+	// Headers returned by the chain actions expose the previous block as previousBlockId
+	const header = {
+		...blockHeader,
+		previousBlock: blockHeader.previousBlock || blockHeader.previousBlockId,
+	};
+	try {
+		if (
+			blocksLogic.getId(header) !== header.id ||
+			!blocksLogic.verifySignature(header)
+		) {
+			return false;
+		}
+	} catch (error) {
+		return false;
+	}
+	if (typeof inclusionProof.transactionBytes !== 'string') {
+		return false;
+	}
+	// The proven bytes must be those of the transaction, so the proof also binds its amount and recipient
+	const transactionBytes = Buffer.from(inclusionProof.transactionBytes, 'hex');
+	if (
+		getTransactionIdFromBytes(transactionBytes) !== inclusionProof.transactionId
+	) {
+		return false;
+	}
+	return verifyMerkleProof(
+		transactionBytes,
+		inclusionProof.proof,
+		blockHeader.payloadHash,
+	);
+};
+
+module.exports = {
+	createTransactionInclusionProof,
+	verifyTransactionInclusionProof,
+};
@@ -17,6 +17,15 @@
 const { BlockSlots } = require('./block_slots');
 const { addBlockProperties } = require('./utils');
 const { objectNormalize } = require('./block');
+const {
+	createTransactionInclusionProof,
+	verifyTransactionInclusionProof,
+} = require('./inclusion_proof');
+const {
+	getBlockHeader,
+	verifyBlockHeader,
+	verifyHeaderChain,
+} = require('./header_chain');
 const {
 	calculateMilestone,
 	calculateReward,
@@ -28,6 +37,7 @@ const {
 	EVENT_DELETE_BLOCK,
 	EVENT_BROADCAST_BLOCK,
 	EVENT_NEW_BROADHASH,
+	EVENT_NEW_FINALIZED_HEIGHT,
 } = require('./blocks');
 
 module.exports = {
@@ -40,6 +50,12 @@ module.exports = {
 	EVENT_DELETE_BLOCK,
 	EVENT_BROADCAST_BLOCK,
 	EVENT_NEW_BROADHASH,
+	EVENT_NEW_FINALIZED_HEIGHT,
 	objectNormalize,
 	addBlockProperties,
+	createTransactionInclusionProof,
+	verifyTransactionInclusionProof,
+	getBlockHeader,
+	verifyBlockHeader,
+	verifyHeaderChain,
 };
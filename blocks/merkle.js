@@ -0,0 +1,133 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { hash } = require('@liskhq/lisk-cryptography');
+
+// Leaves and branches are hashed with different prefixes so that a branch can never be passed off as a leaf
+const LEAF_PREFIX = Buffer.from([0]);
+const BRANCH_PREFIX = Buffer.from([1]);
+
+const POSITION_LEFT = 'left';
+const POSITION_RIGHT = 'right';
+
+const hashLeaf = transactionBytes =>
+	hash(Buffer.concat([LEAF_PREFIX, transactionBytes]));
+
+const hashBranch = (left, right) =>
+	hash(Buffer.concat([BRANCH_PREFIX, left, right]));
+
+/**
+ * Computes the next level of the tree, when the number of nodes is odd the last node
+ * is carried over to the next level as is.
+ *
+ * @private
+ * @param {Array.<Buffer>} nodes
+ * @returns {Array.<Buffer>}
+ */
+const getParentLevel = nodes => {
+	const parents = [];
+	for (let i = 0; i < nodes.length; i += 2) {
+		parents.push(
+			i + 1 < nodes.length ? hashBranch(nodes[i], nodes[i + 1]) : nodes[i],
+		);
+	}
+	return parents;
+};
+
+/**
+ * Computes the Merkle root of a list of transactions.
+ * Every leaf commits to the full bytes of a transaction, including its amount, recipient and signatures.
+ * The root of an empty list is the hash of an empty buffer which matches the payload hash of an empty block.
+ *
+ * @param {Array.<Buffer>} transactionsBytes - Transaction bytes in block order
+ * @returns {string} Merkle root as hex string
+ */
+const computeMerkleRoot = transactionsBytes => {
+	if (!transactionsBytes.length) {
+		return hash(Buffer.alloc(0)).toString('hex');
+	}
+	let nodes = transactionsBytes.map(hashLeaf);
+	while (nodes.length > 1) {
+		nodes = getParentLevel(nodes);
+	}
+	return nodes[0].toString('hex');
+};
+
+/**
+ * Computes the list of sibling hashes which link a transaction to the Merkle root.
+ *
+ * @param {Array.<Buffer>} transactionsBytes - Transaction bytes in block order
+ * @param {number} transactionIndex - Index of the transaction to prove
+ * @throws {Error} If the index is not part of the list
+ * @returns {Array.<Object>} Proof steps ordered from the leaf to the root, each with hash and position
+ */
+const computeMerkleProof = (transactionsBytes, transactionIndex) => {
+	let index = transactionIndex;
+	if (index < 0 || index >= transactionsBytes.length) {
+		throw new Error(`Transaction index ${index} is not part of the payload`);
+	}
+	const proof = [];
+	let nodes = transactionsBytes.map(hashLeaf);
+	while (nodes.length > 1) {
+		const isRightNode = index % 2 === 1;
+		const siblingIndex = isRightNode ? index - 1 : index + 1;
+		if (siblingIndex < nodes.length) {
+			proof.push({
+				hash: nodes[siblingIndex].toString('hex'),
+				position: isRightNode ? POSITION_LEFT : POSITION_RIGHT,
+			});
+		}
+		nodes = getParentLevel(nodes);
+		index = Math.floor(index / 2);
+	}
+	return proof;
+};
+
+/**
+ * Verifies that a transaction is included under the given Merkle root.
+ * This does not require any chain state so it can be used by other chains which only store block headers.
+ *
+ * @param {Buffer} transactionBytes
+ * @param {Array.<Object>} proof - Proof steps as returned by computeMerkleProof
+ * @param {string} merkleRoot - Payload hash of the block header
+ * @returns {boolean}
+ */
+const verifyMerkleProof = (transactionBytes, proof, merkleRoot) => {
+	if (!Array.isArray(proof)) {
+		return false;
+	}
+	let node = hashLeaf(transactionBytes);
+	// eslint-disable-next-line no-restricted-syntax
+	for (const step of proof) {
+		const sibling = Buffer.from(step.hash, 'hex');
+		if (step.position === POSITION_LEFT) {
+			node = hashBranch(sibling, node);
+		} else if (step.position === POSITION_RIGHT) {
+			node = hashBranch(node, sibling);
+		} else {
+			return false;
+		}
+	}
+	return node.toString('hex') === merkleRoot;
+};
+
+module.exports = {
+	computeMerkleRoot,
+	computeMerkleProof,
+	verifyMerkleProof,
+	POSITION_LEFT,
+	POSITION_RIGHT,
+};
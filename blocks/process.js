@@ -19,6 +19,7 @@ const blocksUtils = require('./utils');
 const blocksLogic = require('./block');
 const blockVersion = require('./block_version');
 const transactionsModule = require('../transactions');
+const { BlockVerificationError } = require('../utils/error_handlers');
 
 class BlocksProcess {
 	constructor({
@@ -43,19 +44,40 @@ class BlocksProcess {
 		this.genesisBlock = genesisBlock;
 	}
 
-	async processBlock(block, lastBlock, broadcast) {
+	async processBlock(
+		block,
+		lastBlock,
+		broadcast,
+		{ skipSignature, skipTransactionValidation } = {},
+	) {
 		const enhancedBlock = !broadcast
 			? blocksUtils.addBlockProperties(block)
 			: block;
-		const normalizedBlock = blocksLogic.objectNormalize(
-			enhancedBlock,
-			this.exceptions,
-		);
+		let normalizedBlock;
+		try {
+			normalizedBlock = blocksLogic.objectNormalize(
+				enhancedBlock,
+				this.exceptions,
+				{ skipTransactionValidation },
+			);
+		} catch (errors) {
+			// Schema and transaction signature errors
+			throw new BlockVerificationError(enhancedBlock.id, errors);
+		}
 		const { verified, errors } = this.blocksVerify.verifyBlock(
 			normalizedBlock,
 			lastBlock,
+			{ skipSignature },
 		);
 		if (!verified) {
+			// Failures which depend on the state of the chain, like the slot or the finalized height,
+			// do not prove that the sender of the block misbehaved
+			if (
+				this.blocksVerify.verifyIntegrity(normalizedBlock, { skipSignature })
+					.length
+			) {
+				throw new BlockVerificationError(normalizedBlock.id, errors);
+			}
 			throw errors;
 		}
 		await this.blocksVerify.checkExists(normalizedBlock);
@@ -93,7 +115,10 @@ class BlocksProcess {
 		const context = {
 			blockTimestamp: timestamp,
 			blockHeight: lastBlock.height + 1,
-			blockVersion: blockVersion.currentBlockVersion,
+			blockVersion: blockVersion.getBlockVersion(
+				lastBlock.height + 1,
+				this.exceptions,
+			),
 		};
 
 		const allowedTransactionsIds = transactionsModule
@@ -125,6 +150,7 @@ class BlocksProcess {
 			maxPayloadLength: this.constants.maxPayloadLength,
 			keypair,
 			timestamp,
+			exceptions: this.exceptions,
 		});
 	}
 
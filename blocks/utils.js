@@ -101,6 +101,7 @@ const parseStorageObjToLegacyObj = block => {
  * @param {Object} filter - Filter options
  * @param {Object} filter.limit - Limit blocks to amount
  * @param {Object} filter.lastId - ID of block to begin with
+ * @param {Object} filter.id - ID of a single block to load
  * @param {function} cb - Callback function
  * @param {Object} tx - database transaction
  * @returns {function} cb - Callback function from params (through setImmediate)
@@ -111,7 +112,6 @@ const parseStorageObjToLegacyObj = block => {
 const loadBlocksDataWS = async (storage, filter, tx) => {
 	const params = { limit: filter.limit || 1 };
 
-	// FIXME: filter.id is not used
 	if (filter.id && filter.lastId) {
 		throw new Error('Invalid filter: Received both id and lastId');
 	}
@@ -123,7 +123,7 @@ const loadBlocksDataWS = async (storage, filter, tx) => {
 
 	// Get height of block with supplied ID
 	const rows = await storage.entities.Block.get(
-		{ id: filter.lastId || null },
+		{ id: filter.lastId || filter.id || null },
 		{ limit: params.limit },
 		tx,
 	);
@@ -396,6 +396,7 @@ const loadBlocksWithOffset = async (
 	genesisBlock,
 	blocksAmount,
 	fromHeight = 0,
+	tx,
 ) => {
 	// Calculate toHeight
 	const toHeight = fromHeight + blocksAmount;
@@ -412,7 +413,7 @@ const loadBlocksWithOffset = async (
 	};
 
 	// Loads extended blocks from storage
-	const rows = await storage.entities.Block.get(filters, options);
+	const rows = await storage.entities.Block.get(filters, options, tx);
 	return readStorageRows(rows, interfaceAdapters, genesisBlock);
 };
 
@@ -0,0 +1,174 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const path = require('path');
+const { getBlockHeader } = require('./header_chain');
+
+const WORKER_PATH = path.join(__dirname, 'verification_worker.js');
+
+const loadWorkerThreads = () => {
+	try {
+		// eslint-disable-next-line global-require
+		return require('worker_threads');
+	} catch (error) {
+		return null;
+	}
+};
+
+const toWorkerBlock = block => ({
+	...getBlockHeader(block),
+	previousBlock: block.previousBlock,
+	transactions: block.transactions.map(transaction => transaction.toJSON()),
+});
+
+/**
+ * Pool of worker threads which verify the block signatures and the stateless part of the
+ * transactions, including their signatures, of a batch of blocks before the blocks are applied in order.
+ * Blocks which are not confirmed as valid by a worker are simply verified inline when they are processed,
+ * so the pool never has the final say on whether a block is invalid.
+ *
+ * @class
+ * @param {Object} logger
+ * @param {number} workerCount - Number of worker threads, 0 to always verify inline
+ * @param {Object} exceptions
+ */
+class VerificationPool {
+	constructor({ logger, workerCount, exceptions }) {
+		this.logger = logger;
+		this.workerCount = workerCount || 0;
+		this.exceptions = exceptions;
+		this.workers = null;
+		this.pendingTasks = new Map();
+		this.nextTaskId = 0;
+		this.isDisabled = this.workerCount === 0;
+	}
+
+	/**
+	 * Verifies a batch of normalized blocks in parallel.
+	 *
+	 * @param {Array.<Object>} blocks - Normalized blocks with transaction instances
+	 * @returns {Promise.<Array.<boolean>>} Indicator per block that it was verified by a worker
+	 */
+	async verifyBlocks(blocks) {
+		const workers = this._getWorkers();
+		if (!workers || !blocks.length) {
+			return blocks.map(() => false);
+		}
+
+		const chunkSize = Math.ceil(blocks.length / workers.length);
+		const chunks = [];
+		for (let i = 0; i < blocks.length; i += chunkSize) {
+			chunks.push(blocks.slice(i, i + chunkSize));
+		}
+
+		try {
+			const chunkResults = await Promise.all(
+				chunks.map((chunk, index) =>
+					this._runTask(workers[index], chunk.map(toWorkerBlock)),
+				),
+			);
+			return [].concat(...chunkResults);
+		} catch (error) {
+			this.logger.warn(
+				{ error: error.message },
+				'Failed to verify blocks in worker threads, falling back to inline verification',
+			);
+			return blocks.map(() => false);
+		}
+	}
+
+	async stop() {
+		const workers = this.workers || [];
+		this.workers = null;
+		this.isDisabled = true;
+		await Promise.all(workers.map(worker => worker.terminate()));
+	}
+
+	_getWorkers() {
+		if (this.isDisabled || this.workers) {
+			return this.workers;
+		}
+		const workerThreads = loadWorkerThreads();
+		if (!workerThreads) {
+			this.logger.warn(
+				'Worker threads are not available, block signatures will be verified inline',
+			);
+			this.isDisabled = true;
+			return null;
+		}
+		this.workers = [];
+		for (let i = 0; i < this.workerCount; i += 1) {
+			this.workers.push(this._createWorker(workerThreads.Worker));
+		}
+		this.logger.info(
+			{ workerCount: this.workerCount },
+			'Started signature verification workers',
+		);
+		return this.workers;
+	}
+
+	_createWorker(Worker) {
+		const worker = new Worker(WORKER_PATH, {
+			workerData: { exceptions: this.exceptions },
+		});
+		worker.on('message', ({ taskId, results }) => {
+			const task = this.pendingTasks.get(taskId);
+			if (task) {
+				this.pendingTasks.delete(taskId);
+				task.resolve(results);
+			}
+		});
+		const onFailure = error => {
+			// A broken worker disables the pool, the remaining blocks are verified inline
+			this._rejectTasksOfWorker(
+				worker,
+				error || new Error('Verification worker exited'),
+			);
+			if (this.workers) {
+				this.logger.error(
+					{ error: error ? error.message : undefined },
+					'Verification worker failed, block signatures will be verified inline',
+				);
+				this.stop();
+			}
+		};
+		worker.on('error', onFailure);
+		worker.on('exit', () => onFailure());
+		return worker;
+	}
+
+	_runTask(worker, blocks) {
+		return new Promise((resolve, reject) => {
+			const taskId = this.nextTaskId;
+			this.nextTaskId += 1;
+			this.pendingTasks.set(taskId, { worker, resolve, reject });
+			worker.postMessage({ taskId, blocks });
+		});
+	}
+
+	_rejectTasksOfWorker(worker, error) {
+		this.pendingTasks.forEach((task, taskId) => {
+			if (task.worker === worker) {
+				this.pendingTasks.delete(taskId);
+				task.reject(error);
+			}
+		});
+	}
+}
+
+module.exports = {
+	VerificationPool,
+};
@@ -0,0 +1,64 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const { parentPort, workerData } = require('worker_threads');
+const { Status: TransactionStatus } = require('@liskhq/lisk-transactions');
+const blocksLogic = require('./block');
+const { validateTransactions } = require('../transactions');
+const {
+	registeredTransactions,
+} = require('../transactions/registered_transactions');
+const { TransactionInterfaceAdapter } = require('../interface_adapters');
+
+const { exceptions } = workerData;
+global.exceptions = exceptions;
+
+const transactionInterfaceAdapter = new TransactionInterfaceAdapter(
+	registeredTransactions,
+);
+
+/**
+ * Verifies the block signature and runs the stateless validation of every transaction in the block,
+ * which includes the verification of the transaction signatures.
+ *
+ * @param {Object} block - Block header with the previous block id and the transactions as JSON
+ * @returns {boolean} Indicator that the block and all its transactions are valid
+ */
+const verifyBlock = block => {
+	try {
+		if (!blocksLogic.verifySignature(block)) {
+			return false;
+		}
+		const transactions = block.transactions.map(transaction =>
+			transactionInterfaceAdapter.fromJson(transaction),
+		);
+		const { transactionsResponses } = validateTransactions(exceptions)(
+			transactions,
+		);
+		return transactionsResponses.every(
+			transactionResponse => transactionResponse.status === TransactionStatus.OK,
+		);
+	} catch (error) {
+		return false;
+	}
+};
+
+parentPort.on('message', ({ taskId, blocks }) => {
+	parentPort.postMessage({
+		taskId,
+		results: blocks.map(verifyBlock),
+	});
+});
@@ -16,7 +16,6 @@
 
 const BigNum = require('@liskhq/bignum');
 const { Status: TransactionStatus } = require('@liskhq/lisk-transactions');
-const { hash } = require('@liskhq/lisk-cryptography');
 const blockVersion = require('./block_version');
 const blocksLogic = require('./block');
 const blocksUtils = require('./utils');
@@ -216,8 +215,10 @@ const verifyPayload = (
 		totalFee = totalFee.plus(transaction.fee);
 	});
 
-	const transactionsBuffer = Buffer.concat(transactionsBytesArray);
-	const payloadHash = hash(transactionsBuffer).toString('hex');
+	const payloadHash = blocksLogic.calculatePayloadHash(
+		block.version,
+		transactionsBytesArray,
+	);
 
 	if (payloadHash !== block.payloadHash) {
 		result.errors.push(new Error('Invalid payload hash'));
@@ -261,6 +262,61 @@ const verifyForkOne = (roundsModule, block, lastBlock, result) => {
 	return result;
 };
 
+/**
+ * Verify that the block does not conflict with the finalized part of the chain.
+ *
+ * @private
+ * @func verifyAgainstFinalizedBlock
+ * @param {Object} blocksFinality - Finalized height tracker
+ * @param {Object} block - Target block
+ * @param {Object} result - Verification results
+ * @returns {Object} result - Verification results
+ * @returns {boolean} result.verified - Indicator that verification passed
+ * @returns {Array} result.errors - Array of validation errors
+ */
+const verifyAgainstFinalizedBlock = (blocksFinality, block, result) => {
+	if (blocksFinality && blocksFinality.isConflicting(block)) {
+		result.errors.push(
+			new Error(
+				`Block ${block.id} at height ${
+					block.height
+				} conflicts with finalized block ${
+					blocksFinality.finalizedBlockId
+				} at height ${blocksFinality.finalizedHeight}`,
+			),
+		);
+	}
+
+	return result;
+};
+
+/**
+ * Verify block against the configured checkpoints.
+ *
+ * @private
+ * @func verifyCheckpoint
+ * @param {Object} checkpoints - Block ids by height
+ * @param {Object} block - Target block
+ * @param {Object} result - Verification results
+ * @returns {Object} result - Verification results
+ * @returns {boolean} result.verified - Indicator that verification passed
+ * @returns {Array} result.errors - Array of validation errors
+ */
+const verifyCheckpoint = (checkpoints, block, result) => {
+	const checkpointBlockId = checkpoints[block.height];
+	if (checkpointBlockId && checkpointBlockId !== block.id) {
+		result.errors.push(
+			new Error(
+				`Block ${block.id} at height ${
+					block.height
+				} does not match checkpoint ${checkpointBlockId}`,
+			),
+		);
+	}
+
+	return result;
+};
+
 /**
  * Verify block slot according to timestamp.
  *
@@ -367,6 +423,8 @@ class BlocksVerify {
 		genesisBlock,
 		blockReward,
 		constants,
+		blocksFinality,
+		checkpoints = {},
 	}) {
 		this.storage = storage;
 		this.roundsModule = roundsModule;
@@ -376,18 +434,35 @@ class BlocksVerify {
 		this.constants = constants;
 		this.genesisBlock = genesisBlock;
 		this.interfaceAdapters = interfaceAdapters;
-	}
-
-	verifyBlock(block, lastBlock) {
+		this.blocksFinality = blocksFinality;
+		this.checkpoints = checkpoints;
+	}
+
+	/**
+	 * Verifies a block on top of the last block.
+	 * The signature can be skipped for blocks which were verified to hash-link to a checkpoint block,
+	 * see getCheckpointLinkedHeight.
+	 *
+	 * @param {Object} block - Block to verify
+	 * @param {Object} lastBlock - Block which the block builds on
+	 * @param {Object} [options]
+	 * @param {boolean} [options.skipSignature] - Skip the signature verification
+	 * @returns {Object} Verification results
+	 */
+	verifyBlock(block, lastBlock, { skipSignature = false } = {}) {
 		block = blocksUtils.setHeight(block, lastBlock);
 
 		let result = { verified: false, errors: [] };
 
-		result = verifySignature(block, result);
+		result = verifyAgainstFinalizedBlock(this.blocksFinality, block, result);
+		if (!skipSignature) {
+			result = verifySignature(block, result);
+		}
 		result = verifyPreviousBlock(block, result);
 		result = verifyVersion(block, this.exceptions, result);
 		result = verifyReward(this.blockReward, block, this.exceptions, result);
 		result = verifyId(block, result);
+		result = verifyCheckpoint(this.checkpoints, block, result);
 		result = verifyPayload(
 			block,
 			this.constants.maxTransactionsPerBlock,
@@ -404,6 +479,29 @@ class BlocksVerify {
 		return result;
 	}
 
+	/**
+	 * Runs the checks which do not depend on the state of the chain, a block which fails them
+	 * is invalid for every node.
+	 *
+	 * @param {Object} block - Normalized block
+	 * @param {Object} [options]
+	 * @param {boolean} [options.skipSignature] - Skip the signature verification
+	 * @returns {Array.<Error>} Errors, empty if the block is intact
+	 */
+	verifyIntegrity(block, { skipSignature = false } = {}) {
+		let result = { verified: false, errors: [] };
+		if (!skipSignature) {
+			result = verifySignature(block, result);
+		}
+		result = verifyPayload(
+			block,
+			this.constants.maxTransactionsPerBlock,
+			this.constants.maxPayloadLength,
+			result,
+		);
+		return result.errors;
+	}
+
 	async checkExists(block) {
 		const isPersisted = await this.storage.entities.Block.isPersisted({
 			id: block.id,
@@ -547,6 +645,50 @@ class BlocksVerify {
 		return true;
 	}
 
+	isConflictingWithFinalizedBlock(block) {
+		return this.blocksFinality.isConflicting(block);
+	}
+
+	isConflictingWithCheckpoint({ id, height }) {
+		const checkpointBlockId = this.checkpoints[height];
+		return !!checkpointBlockId && checkpointBlockId !== id;
+	}
+
+	/**
+	 * Returns the height of the highest checkpoint block of a batch which the batch hash-links to from the last block.
+	 * The ids of the blocks up to that height are fixed by the checkpoint, so their signatures do not need
+	 * to be verified. Blocks above it, or batches without a checkpoint, must be verified in full.
+	 *
+	 * @param {Array.<Object>} blocks - Normalized blocks in ascending height order
+	 * @param {Object} lastBlock - Block which the first block of the batch builds on
+	 * @returns {number} Checkpoint height, 0 if the batch does not link to a checkpoint
+	 */
+	getCheckpointLinkedHeight(blocks, lastBlock) {
+		let checkpointHeight = 0;
+		let previousBlock = lastBlock;
+		// eslint-disable-next-line no-restricted-syntax
+		for (const block of blocks) {
+			let blockId;
+			try {
+				blockId = blocksLogic.getId(block);
+			} catch (error) {
+				break;
+			}
+			if (
+				blockId !== block.id ||
+				block.previousBlock !== previousBlock.id ||
+				block.height !== previousBlock.height + 1
+			) {
+				break;
+			}
+			if (this.checkpoints[block.height] === blockId) {
+				checkpointHeight = block.height;
+			}
+			previousBlock = block;
+		}
+		return checkpointHeight;
+	}
+
 	// eslint-disable-next-line class-methods-use-this
 	isSaneBlock(block, lastBlock) {
 		return (
@@ -633,6 +775,8 @@ module.exports = {
 	verifyBlockSlot,
 	verifyForkOne,
 	verifyAgainstLastNBlockIds,
+	verifyAgainstFinalizedBlock,
+	verifyCheckpoint,
 	verifyVersion,
 	verifyReward,
 	verifyReceipt,
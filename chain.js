@@ -24,10 +24,12 @@ const { createLoggerComponent } = require('leasehold-lisk-framework/src/componen
 const { bootstrapStorage, bootstrapCache } = require('./init_steps');
 const jobQueue = require('./utils/jobs_queue');
 const { Peers } = require('./peers');
+const { PeerReputation } = require('./peer_reputation');
 const { TransactionInterfaceAdapter } = require('./interface_adapters');
 const {
 	TransactionPool,
 	EVENT_UNCONFIRMED_TRANSACTION,
+	EVENT_MULTISIGNATURE_SIGNATURE,
 } = require('./transaction_pool');
 const { Rounds } = require('./rounds');
 const {
@@ -37,13 +39,35 @@ const {
 	EVENT_DELETE_BLOCK,
 	EVENT_BROADCAST_BLOCK,
 	EVENT_NEW_BROADHASH,
+	EVENT_NEW_FINALIZED_HEIGHT,
+	createTransactionInclusionProof,
 } = require('./blocks');
 const { Loader } = require('./loader');
 const { Forger } = require('./forger');
 const { Transport } = require('./transport');
+const { EventLog } = require('./event_log');
+const { Snapshot } = require('./snapshot');
 
 const syncInterval = 10000;
 const forgeInterval = 1000;
+const DEFAULT_TRANSACTION_PAGE_LIMIT = 100;
+const MAX_TRANSACTION_PAGE_LIMIT = 100;
+const MAX_BLOCKS_WITH_TRANSACTIONS_LIMIT = 100;
+const MAX_DELEGATES_LIMIT = 101;
+const MAX_VOTERS_LIMIT = 100;
+const MAX_SNAPSHOT_EXPORT_ATTEMPTS = 3;
+const MULTISIG_SIGNERS_BACKFILL_BATCH_SIZE = 1000;
+// Number of round durations to wait for the last block of a round before giving up
+const ROUND_END_TIMEOUT_ROUNDS = 2;
+
+// Productivity is the percentage of produced blocks out of all the blocks which the delegate was meant to forge.
+const DELEGATE_PRODUCTIVITY_EXPRESSION = '(case when mem_accounts."producedBlocks" + mem_accounts."missedBlocks" = 0 then 0.00 else round((mem_accounts."producedBlocks"::numeric / (mem_accounts."producedBlocks" + mem_accounts."missedBlocks")) * 100.0, 2) end)';
+const DELEGATE_COLUMNS = `mem_accounts.address, mem_accounts."publicKey", mem_accounts.username, mem_accounts.rank, mem_accounts.vote, mem_accounts."producedBlocks", mem_accounts."missedBlocks", ${DELEGATE_PRODUCTIVITY_EXPRESSION} as productivity`;
+const DELEGATE_SORT_FIELDS = {
+	rank: 'mem_accounts.rank',
+	vote: 'mem_accounts.vote',
+	productivity: DELEGATE_PRODUCTIVITY_EXPRESSION
+};
 
 /**
  * Chain Module
@@ -171,44 +195,71 @@ module.exports = class Chain {
 			});
 
 			this.logger.info('Modules ready and launched');
+			if (this.options.loading.snapshotPath) {
+				await this._bootstrapFromSnapshot(this.options.loading.snapshotPath);
+			}
+			if (this.options.loading.auditFromHeight) {
+				await this.blocks.auditBlockChain(this.options.loading.auditFromHeight);
+				process.emit('cleanup');
+				return;
+			}
 			// After binding, it should immediately load blockchain
 			await this.blocks.loadBlockChain(this.options.loading.rebuildUpToRound);
 			if (this.options.loading.rebuildUpToRound) {
 				process.emit('cleanup');
 				return;
 			}
+			await this.blocks.loadFinalizedHeight();
+			await this._backfillMultisigSigners();
 			this._subscribeToEvents();
 
 			this._startLoader();
 			this._calculateConsensus();
+			this._expireMultisignatureTransactions();
 			await this._startForging();
 
 			this.channel.subscribe(
 				`network:event:${this.moduleAlias}:postTransactions`,
-				async ({data}) => {
+				async ({data, peerId}) => {
 					// Avoid receiving blocks/transactions from the network during snapshotting process
 					if (!this.options.loading.rebuildUpToRound) {
 						try {
-							await this.transport.postTransactions(data);
+							await this.transport.postTransactions(data, peerId);
 						} catch (error) {
 							this.logger.warn(
-								{ error, event },
+								{ error, data, peerId },
 								`Received invalid ${this.moduleAlias}:postTransactions message`,
 							);
 						}
 					}
 				},
 			);
+			this.channel.subscribe(
+				`network:event:${this.moduleAlias}:postSignatures`,
+				async ({data, peerId}) => {
+					// Avoid receiving signatures from the network during snapshotting process
+					if (!this.options.loading.rebuildUpToRound) {
+						try {
+							await this.transport.postSignatures(data, peerId);
+						} catch (error) {
+							this.logger.warn(
+								{ error, data, peerId },
+								`Received invalid ${this.moduleAlias}:postSignatures message`,
+							);
+						}
+					}
+				},
+			);
 			this.channel.subscribe(
 				`network:event:${this.moduleAlias}:postBlock`,
-				async ({data}) => {
+				async ({data, peerId}) => {
 					// Avoid receiving blocks/transactions from the network during snapshotting process
 					if (!this.options.loading.rebuildUpToRound) {
 						try {
-							await this.transport.postBlock(data);
+							await this.transport.postBlock(data, peerId);
 						} catch (error) {
 							this.logger.warn(
-								{ error, event },
+								{ error, data, peerId },
 								`Received invalid ${this.moduleAlias}:postBlock message`,
 							);
 						}
@@ -246,10 +297,14 @@ module.exports = class Chain {
 			getTransactions: async () => this.transport.getTransactions(),
 			getForgingStatusForAllDelegates: async () =>
 				this.forger.getForgingStatusForAllDelegates(),
+			getForgingSchedule: async action =>
+				this.forger.getForgingSchedule((action.params || {}).limit),
 			getTransactionsFromPool: async ({ params }) =>
 				this.transactionPool.getPooledTransactions(params.type, params.filters),
 			postTransaction: async action =>
 				this.transport.postTransaction(action.params),
+			postSignature: async action =>
+				this.transport.postSignature(action.params),
 			getDelegateBlocksRewards: async action =>
 				this.scope.components.storage.entities.Account.delegateBlocksRewards(
 					action.params.filters,
@@ -264,13 +319,17 @@ module.exports = class Chain {
 				consensus: await this.peers.getLastConsensus(this.blocks.broadhash),
 				loaded: true,
 				syncing: this.loader.syncing(),
+				syncProgress: this.loader.getSyncProgress(),
 				unconfirmedTransactions: this.transactionPool.getCount(),
 				secondsSinceEpoch: this.slots.getTime(),
 				lastBlock: this.blocks.lastBlock,
+				finalizedHeight: this.blocks.finalizedHeight,
 			}),
 			blocks: async action => this.transport.blocks(action.params || {}),
 			blocksCommon: async action =>
 				this.transport.blocksCommon(action.params || {}),
+			blockHeaders: async action =>
+				this.transport.blockHeaders(action.params || {}),
 			getModuleOptions: async action =>
 				this.options,
 			getLastBlock: async () => this.blocks.lastBlock,
@@ -290,7 +349,216 @@ module.exports = class Chain {
 				}
 				return Number(multisigMemberMinSigRows[0].multimin);
 			},
+			getAccount: async action => {
+				let { walletAddress } = action.params;
+				let accounts = await this._getAccounts([walletAddress]);
+				if (accounts.length <= 0) {
+					throw new Error(
+						`Could not find account with wallet address ${walletAddress}`
+					);
+				}
+				return accounts[0];
+			},
+			getAccounts: async action => {
+				return this._getAccounts(action.params.walletAddresses);
+			},
+			getTransaction: async action => {
+				let { transactionId } = action.params;
+				let [transaction] = await this.storage.entities.Transaction.get(
+					{ id: transactionId },
+					{ extended: true, limit: 1 }
+				);
+				if (transaction) {
+					let [sanitizedTransaction] = await this._sanitizeTransactions([
+						this._toTransactionRow(transaction)
+					]);
+					let blockRows = await this.storage.adapter.db.query(
+						'select blocks.id, blocks.height, blocks.timestamp from blocks where blocks.id = $1 limit 1',
+						[transaction.blockId]
+					);
+					let block = blockRows[0];
+					if (!block) {
+						throw new Error(
+							`Could not find block ${transaction.blockId} of transaction ${transactionId}`
+						);
+					}
+					return {
+						...sanitizedTransaction,
+						blockHeight: block.height,
+						blockTimestamp: block.timestamp,
+						confirmations: this.blocks.lastBlock.height - block.height + 1,
+						isConfirmed: true
+					};
+				}
+				let pooledTransaction = this.transactionPool.getTransactionWithQueueName(transactionId);
+				if (!pooledTransaction) {
+					throw new Error(
+						`Could not find transaction with ID ${transactionId}`
+					);
+				}
+				let [sanitizedTransaction] = await this._sanitizeTransactions([
+					this._toTransactionRow(pooledTransaction.transaction.toJSON())
+				]);
+				return {
+					...sanitizedTransaction,
+					blockId: null,
+					blockHeight: null,
+					blockTimestamp: null,
+					confirmations: 0,
+					isConfirmed: false,
+					queueName: pooledTransaction.queueName
+				};
+			},
+			getBalanceAtHeight: async action => {
+				let { walletAddress, height } = action.params;
+				let lastBlockHeight = this.blocks.lastBlock.height;
+				if (!Number.isInteger(height) || height < 1 || height > lastBlockHeight) {
+					throw new Error(
+						`Invalid height ${height} - Must be an integer between 1 and ${lastBlockHeight}`
+					);
+				}
+				let inertTransactionIds = (this.options.exceptions || {}).inertTransactions || [];
+				// Rewards and fees of a round are credited to delegates when the last block of the round is applied.
+				let lastAppliedRound = Math.floor(height / this.options.constants.ACTIVE_DELEGATES);
+
+				// Start from the current balance and revert every balance change which happened above the height.
+				// All transaction types debit the sender by amount + fee; transfer (0) and out transfer (7)
+				// credit the recipient and in transfer (6) credits the owner of the referenced dapp.
+				let balanceRows = await this.storage.adapter.db.query(
+					`with account as (
+						select mem_accounts.balance, mem_accounts."publicKey" from mem_accounts where mem_accounts.address = $1
+					), sent as (
+						select coalesce(sum(trs.amount + trs.fee), 0) as total from trs inner join blocks on blocks.id = trs."blockId"
+						where trs."senderId" = $1 and blocks.height > $2 and not (trs.id = any($3::varchar[]))
+					), received as (
+						select coalesce(sum(trs.amount), 0) as total from trs inner join blocks on blocks.id = trs."blockId"
+						where trs."recipientId" = $1 and trs.type in (0, 7) and blocks.height > $2 and not (trs.id = any($3::varchar[]))
+					), received_as_dapp_owner as (
+						select coalesce(sum(trs.amount), 0) as total from trs inner join blocks on blocks.id = trs."blockId"
+						inner join trs as dapp on dapp.id = trs.asset->'inTransfer'->>'dappId' and dapp.type = 5
+						where trs.type = 6 and dapp."senderId" = $1 and blocks.height > $2 and not (trs.id = any($3::varchar[]))
+					), forged as (
+						select coalesce(sum(rounds_rewards.fees + rounds_rewards.reward), 0) as total from rounds_rewards
+						inner join account on rounds_rewards."publicKey" = account."publicKey"
+						where rounds_rewards.round > $4
+					)
+					select (account.balance + sent.total - received.total - received_as_dapp_owner.total - forged.total) as balance
+					from account, sent, received, received_as_dapp_owner, forged`,
+					[walletAddress, height, inertTransactionIds, lastAppliedRound]
+				);
+				if (balanceRows.length <= 0) {
+					throw new Error(
+						`Could not find account with wallet address ${walletAddress}`
+					);
+				}
+				return {
+					walletAddress,
+					height,
+					balance: balanceRows[0].balance
+				};
+			},
+			getDelegates: async action => {
+				let { search, sortBy, sortOrder, limit, offset } = action.params || {};
+				if (sortBy == null) {
+					sortBy = 'rank';
+				}
+				if (!DELEGATE_SORT_FIELDS[sortBy]) {
+					throw new Error(
+						`Invalid delegate sortBy ${sortBy} - Must be one of: ${Object.keys(DELEGATE_SORT_FIELDS).join(', ')}`
+					);
+				}
+				if (sortOrder == null) {
+					sortOrder = sortBy === 'rank' ? 'asc' : 'desc';
+				}
+				if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+					throw new Error(
+						`Invalid delegate sortOrder ${sortOrder} - Must be either asc or desc`
+					);
+				}
+				this._validatePageOptions('delegate', limit, offset);
+				if (limit == null || limit > MAX_DELEGATES_LIMIT) {
+					limit = MAX_DELEGATES_LIMIT;
+				}
+				// Wildcards in the search are matched literally, backslash is the default escape character of ilike
+				let searchClause = search == null ? '' : ' and mem_accounts.username ilike $1';
+				let delegates = await this.storage.adapter.db.query(
+					`select ${DELEGATE_COLUMNS} from mem_accounts where mem_accounts."isDelegate" = 1${searchClause} order by ${DELEGATE_SORT_FIELDS[sortBy]} ${sortOrder}, mem_accounts."publicKey" asc limit $2 offset $3`,
+					[`%${String(search).replace(/[\\%_]/g, '\\$&')}%`, limit, offset || 0]
+				);
+				return delegates.map(delegate => this._sanitizeDelegate(delegate));
+			},
+			getVoters: async action => {
+				let { delegatePublicKey, limit, offset } = action.params;
+				this._validatePageOptions('voter', limit, offset);
+				if (limit == null || limit > MAX_VOTERS_LIMIT) {
+					limit = MAX_VOTERS_LIMIT;
+				}
+				let voters = await this.storage.adapter.db.query(
+					'select mem_accounts.address, mem_accounts."publicKey", mem_accounts.balance from mem_accounts2delegates inner join mem_accounts on mem_accounts.address = mem_accounts2delegates."accountId" where mem_accounts2delegates."dependentId" = $1 order by mem_accounts.balance desc, mem_accounts.address asc limit $2 offset $3',
+					[delegatePublicKey, limit, offset || 0]
+				);
+				return voters.map(voter => ({
+					address: voter.address,
+					publicKey: voter.publicKey ? voter.publicKey.toString('hex') : null,
+					balance: voter.balance
+				}));
+			},
+			getVotes: async action => {
+				let delegates = await this.storage.adapter.db.query(
+					`select ${DELEGATE_COLUMNS} from mem_accounts2delegates inner join mem_accounts on mem_accounts."publicKey" = decode(mem_accounts2delegates."dependentId", 'hex') where mem_accounts2delegates."accountId" = $1 order by mem_accounts.rank asc`,
+					[action.params.walletAddress]
+				);
+				return delegates.map(delegate => this._sanitizeDelegate(delegate));
+			},
+			getPendingMultisigTransactions: async action => {
+				let { walletAddress } = action.params;
+				let walletRows = await this.storage.adapter.db.query(
+					'select multimin, multilifetime from mem_accounts where address = $1 limit 1',
+					[walletAddress]
+				);
+				if (walletRows.length <= 0) {
+					throw new Error(
+						`Could not find multisig wallet with address ${walletAddress}`
+					);
+				}
+				let requiredSignatures = Number(walletRows[0].multimin);
+				let multiLifetime = Number(walletRows[0].multilifetime);
+				let multisigMembers = await this._getMultisigWalletMembers(walletAddress);
+				let memberPublicKeyList = multisigMembers.map(member => member.dependentId);
+
+				let pendingTransactions = this.transactionPool
+					.getMultisignatureTransactionList(false)
+					.filter(transaction => transaction.senderId === walletAddress);
+
+				return Promise.all(
+					pendingTransactions.map(async (transaction) => {
+						let [sanitizedTransaction] = await this._sanitizeTransactions([
+							this._toTransactionRow(transaction.toJSON())
+						]);
+						let signatures = transaction.signatures || [];
+						// Only signatures of distinct wallet members count towards the required signatures
+						let signerAddresses = [
+							...new Set(
+								signatures
+									.map(signature => this._findPendingTransactionSignerAddress(transaction, signature, memberPublicKeyList))
+									.filter(signerAddress => signerAddress)
+							)
+						];
+						let expiry = this.transactionPool.getMultisignatureTransactionExpiry(transaction, multiLifetime);
+						return {
+							...sanitizedTransaction,
+							signerAddresses,
+							requiredSignatures,
+							remainingSignatures: Math.max(requiredSignatures - signerAddresses.length, 0),
+							expiresAt: expiry
+						};
+					})
+				);
+			},
 			getInboundTransactions: async action => {
+				if (this._isTransactionPageRequest(action.params)) {
+					return this._getTransactionsPage('recipientId', action.params);
+				}
 				let { walletAddress, fromTimestamp, limit } = action.params;
 				let timestampClause = fromTimestamp == null ? '' : ' and trs.timestamp >= $2';
 				let limitClause = limit == null ? '' : ' limit $3';
@@ -301,6 +569,9 @@ module.exports = class Chain {
 				return this._sanitizeTransactions(transactions);
 			},
 			getOutboundTransactions: async action => {
+				if (this._isTransactionPageRequest(action.params)) {
+					return this._getTransactionsPage('senderId', action.params);
+				}
 				let { walletAddress, fromTimestamp, limit } = action.params;
 				let timestampClause = fromTimestamp == null ? '' : ' and trs.timestamp >= $2';
 				let limitClause = limit == null ? '' : ' limit $3';
@@ -311,6 +582,9 @@ module.exports = class Chain {
 				return this._sanitizeTransactions(transactions);
 			},
 			getInboundTransactionsFromBlock: async action => {
+				if (this._isTransactionPageRequest(action.params)) {
+					return this._getTransactionsPage('recipientId', action.params);
+				}
 				let transactions = await this.storage.adapter.db.query(
 					`select trs.id, trs.type, trs."senderId", trs."senderPublicKey", trs.timestamp, trs."recipientId", trs.amount, trs."blockId", trs."transferData", trs.signatures from trs where trs."recipientId" = $1 and trs."blockId" = $2`,
 					[action.params.walletAddress, action.params.blockId]
@@ -318,12 +592,25 @@ module.exports = class Chain {
 				return this._sanitizeTransactions(transactions);
 			},
 			getOutboundTransactionsFromBlock: async action => {
+				if (this._isTransactionPageRequest(action.params)) {
+					return this._getTransactionsPage('senderId', action.params);
+				}
 				let transactions = await this.storage.adapter.db.query(
 					`select trs.id, trs.type, trs."senderId", trs."senderPublicKey", trs.timestamp, trs."recipientId", trs.amount, trs."blockId", trs."transferData", trs.signatures from trs where trs."senderId" = $1 and trs."blockId" = $2`,
 					[action.params.walletAddress, action.params.blockId]
 				);
 				return this._sanitizeTransactions(transactions);
 			},
+			getEventsSince: async action => {
+				let { sequence, limit } = action.params;
+				if (sequence != null && (!Number.isInteger(sequence) || sequence < 0)) {
+					throw new Error(
+						`Invalid event sequence ${sequence} - Must be a non-negative integer`
+					);
+				}
+				this._validatePageOptions('event', limit);
+				return this.eventLog.getEventsSince(sequence, limit);
+			},
 			getLastBlockAtTimestamp: async action => {
 				return (
 					await this.storage.adapter.db.query(
@@ -347,6 +634,116 @@ module.exports = class Chain {
 					[action.params.fromHeight, action.params.toHeight, action.params.limit]
 				);
 			},
+			getBlock: async action => {
+				let { blockId, height } = action.params;
+				if (blockId == null) {
+					if (height == null) {
+						throw new Error('Either a blockId or a height must be provided');
+					}
+					let [blockAtHeight] = await this.storage.entities.Block.get(
+						{ height },
+						{ limit: 1 }
+					);
+					if (!blockAtHeight) {
+						throw new Error(`Could not find block at height ${height}`);
+					}
+					blockId = blockAtHeight.id;
+				}
+				let blocks;
+				try {
+					blocks = await this.blocks.loadBlocksWithTransactions({ id: blockId });
+				} catch (error) {
+					throw new Error(`Could not find block with ID ${blockId}`);
+				}
+				if (!blocks.length) {
+					throw new Error(`Could not find block with ID ${blockId}`);
+				}
+				return this._sanitizeBlock(blocks[0]);
+			},
+			getBlocksWithTransactions: async action => {
+				let { fromHeight, toHeight, limit } = action.params;
+				if (!Number.isInteger(fromHeight) || !Number.isInteger(toHeight)) {
+					throw new Error('Both fromHeight and toHeight must be integers');
+				}
+				if (fromHeight > toHeight) {
+					throw new Error('The fromHeight must not be greater than the toHeight');
+				}
+				if (limit != null && (!Number.isInteger(limit) || limit < 0)) {
+					throw new Error('The limit must be a non-negative integer');
+				}
+				if (limit == null || limit > MAX_BLOCKS_WITH_TRANSACTIONS_LIMIT) {
+					limit = MAX_BLOCKS_WITH_TRANSACTIONS_LIMIT;
+				}
+				// Same semantics as getBlocksBetweenHeights; fromHeight is exclusive and toHeight is inclusive.
+				return this._getBlocksWithTransactions(
+					fromHeight,
+					Math.min(toHeight, fromHeight + limit)
+				);
+			},
+			getBlockHeaders: async action => {
+				let { fromHeight, toHeight } = action.params;
+				if (!Number.isInteger(fromHeight) || !Number.isInteger(toHeight)) {
+					throw new Error('Both fromHeight and toHeight must be integers');
+				}
+				if (fromHeight > toHeight) {
+					throw new Error('The fromHeight must not be greater than the toHeight');
+				}
+				return this.blocks.getBlockHeaders(fromHeight, toHeight);
+			},
+			getPeerReputation: async action => {
+				let { peerId } = action.params || {};
+				if (peerId == null) {
+					return this.peerReputation.getPeerReputations();
+				}
+				if (typeof peerId !== 'string') {
+					throw new Error('The peerId must be a string');
+				}
+				let reputation = this.peerReputation.getPeerReputation(peerId);
+				if (!reputation) {
+					throw new Error(`No offences were recorded for peer ${peerId}`);
+				}
+				return reputation;
+			},
+			getStateRoot: async action => {
+				let { round } = action.params;
+				if (!Number.isInteger(round) || round < 1) {
+					throw new Error('The round must be a positive integer');
+				}
+				let stateRoot = await this.storage.entities.Round.getStateRoot(round);
+				if (!stateRoot) {
+					throw new Error(`Could not find the state root of round ${round}`);
+				}
+				return stateRoot;
+			},
+			exportSnapshot: async action => {
+				let { filePath } = action.params;
+				if (typeof filePath !== 'string' || !filePath) {
+					throw new Error('The filePath must be a non-empty string');
+				}
+				return this._exportSnapshotAtRoundEnd(filePath);
+			},
+			getTransactionInclusionProof: async action => {
+				let { transactionId } = action.params;
+				let [transaction] = await this.storage.entities.Transaction.get(
+					{ id: transactionId },
+					{ limit: 1 }
+				);
+				if (!transaction) {
+					throw new Error(
+						`Could not find transaction with ID ${transactionId}`
+					);
+				}
+				let [block] = await this.blocks.loadBlocksWithTransactions({ id: transaction.blockId });
+				if (!block) {
+					throw new Error(
+						`Could not find block ${transaction.blockId} of transaction ${transactionId}`
+					);
+				}
+				return {
+					...createTransactionInclusionProof(block, transactionId),
+					blockHeader: this._sanitizeBlockHeader(block)
+				};
+			},
 			getBlockAtHeight: async action => {
 				return (
 					await this.storage.adapter.db.query(
@@ -358,6 +755,166 @@ module.exports = class Chain {
 		};
 	}
 
+	async _getAccounts(walletAddresses) {
+		if (!Array.isArray(walletAddresses)) {
+			throw new Error('Wallet addresses must be provided as an array');
+		}
+		if (walletAddresses.length <= 0) {
+			return [];
+		}
+		let accounts = await this.storage.entities.Account.get(
+			{ address_in: walletAddresses },
+			{ extended: true, limit: walletAddresses.length }
+		);
+		let accountMap = {};
+		for (let account of accounts) {
+			accountMap[account.address] = account;
+		}
+		return walletAddresses
+			.filter(walletAddress => accountMap[walletAddress])
+			.map(walletAddress => this._sanitizeAccount(accountMap[walletAddress]));
+	}
+
+	_sanitizeAccount(account) {
+		let membersPublicKeys = account.membersPublicKeys || [];
+		return {
+			address: account.address,
+			publicKey: account.publicKey || null,
+			secondPublicKey: account.secondPublicKey || null,
+			balance: account.balance,
+			delegate: account.isDelegate ? {
+				username: account.username,
+				rank: account.rank == null ? null : Number(account.rank),
+				vote: account.vote,
+				producedBlocks: Number(account.producedBlocks),
+				missedBlocks: Number(account.missedBlocks)
+			} : null,
+			multisignature: membersPublicKeys.length ? {
+				memberAddresses: membersPublicKeys.map(
+					publicKey => liskCryptography.getAddressFromPublicKey(publicKey)
+				),
+				minSignatures: Number(account.multiMin),
+				lifetime: Number(account.multiLifetime)
+			} : null,
+			asset: account.asset || {}
+		};
+	}
+
+	_sanitizeDelegate(delegate) {
+		return {
+			address: delegate.address,
+			publicKey: delegate.publicKey.toString('hex'),
+			username: delegate.username,
+			rank: delegate.rank == null ? null : Number(delegate.rank),
+			vote: delegate.vote,
+			producedBlocks: Number(delegate.producedBlocks),
+			missedBlocks: Number(delegate.missedBlocks),
+			productivity: Number(delegate.productivity)
+		};
+	}
+
+	_isTransactionPageRequest(params) {
+		return params.cursor !== undefined || params.direction !== undefined;
+	}
+
+	_encodeTransactionCursor(transaction) {
+		return Buffer.from(
+			`${transaction.blockHeight}:${transaction.rowId}`,
+			'utf8'
+		).toString('base64');
+	}
+
+	_decodeTransactionCursor(cursor) {
+		let decodedCursor = Buffer.from(String(cursor), 'base64').toString('utf8');
+		let cursorParts = decodedCursor.match(/^([0-9]+):([0-9]+)$/);
+		if (!cursorParts) {
+			throw new Error(`Invalid transaction cursor ${cursor}`);
+		}
+		return {
+			height: Number(cursorParts[1]),
+			rowId: Number(cursorParts[2])
+		};
+	}
+
+	// Transactions are ordered by block height and then by rowId, which follows the order of the
+	// transactions within a block, so that a cursor always points to a unique place in the chain.
+	// The forward direction goes from the oldest to the newest transaction.
+	// The previousCursor points to the first transaction of the page, it returns the transactions
+	// before the page when it is used with the opposite direction.
+	_validatePageOptions(itemName, limit, offset) {
+		if (limit != null && (!Number.isInteger(limit) || limit < 0)) {
+			throw new Error(
+				`Invalid ${itemName} limit ${limit} - Must be a non-negative integer`
+			);
+		}
+		if (offset != null && (!Number.isInteger(offset) || offset < 0)) {
+			throw new Error(
+				`Invalid ${itemName} offset ${offset} - Must be a non-negative integer`
+			);
+		}
+	}
+
+	async _getTransactionsPage(walletColumn, params) {
+		let { walletAddress, blockId, fromTimestamp, cursor, direction } = params;
+		if (direction == null) {
+			direction = 'forward';
+		}
+		if (direction !== 'forward' && direction !== 'backward') {
+			throw new Error(
+				`Invalid transaction page direction ${direction} - Must be either forward or backward`
+			);
+		}
+		let limit = params.limit == null ? DEFAULT_TRANSACTION_PAGE_LIMIT : Number(params.limit);
+		if (!Number.isInteger(limit) || limit < 1) {
+			throw new Error(
+				`Invalid transaction page limit ${params.limit} - Must be a positive integer`
+			);
+		}
+		if (limit > MAX_TRANSACTION_PAGE_LIMIT) {
+			limit = MAX_TRANSACTION_PAGE_LIMIT;
+		}
+		let decodedCursor = cursor == null ? {} : this._decodeTransactionCursor(cursor);
+		let isForward = direction === 'forward';
+		let sortOrder = isForward ? 'asc' : 'desc';
+
+		let blockClause = blockId == null ? '' : ' and trs."blockId" = $2';
+		let timestampClause = fromTimestamp == null ? '' : ' and trs.timestamp >= $3';
+		let cursorClause = cursor == null ?
+			'' : ` and (blocks.height, trs."rowId") ${isForward ? '>' : '<'} ($4, $5)`;
+
+		// Fetch one extra row to find out if there is another page after this one.
+		let rows = await this.storage.adapter.db.query(
+			`select trs.id, trs.type, trs."senderId", trs."senderPublicKey", trs.timestamp, trs."recipientId", trs.amount, trs."blockId", trs."transferData", trs.signatures, blocks.height as "blockHeight", trs."rowId" from trs inner join blocks on blocks.id = trs."blockId" where trs."${walletColumn}" = $1${blockClause}${timestampClause}${cursorClause} order by blocks.height ${sortOrder}, trs."rowId" ${sortOrder} limit $6`,
+			[
+				walletAddress,
+				blockId,
+				fromTimestamp,
+				decodedCursor.height,
+				decodedCursor.rowId,
+				limit + 1
+			]
+		);
+
+		let hasMore = rows.length > limit;
+		let pageRows = rows.slice(0, limit);
+		let firstRow = pageRows[0];
+		let lastRow = pageRows[pageRows.length - 1];
+		let currentCursor = cursor == null ? null : cursor;
+		let previousCursor = firstRow ? this._encodeTransactionCursor(firstRow) : currentCursor;
+		let nextCursor = lastRow ? this._encodeTransactionCursor(lastRow) : currentCursor;
+
+		let transactions = await this._sanitizeTransactions(
+			pageRows.map(({ blockHeight, rowId, ...txn }) => txn)
+		);
+
+		return {
+			transactions,
+			previousCursor,
+			nextCursor,
+			hasMore
+		};
+	}
+
 	async _getMultisigWalletMembers(walletAddress) {
 		return this.storage.adapter.db.query(
 			'select mem_accounts2multisignatures."dependentId" from mem_accounts2multisignatures where mem_accounts2multisignatures."accountId" = $1',
@@ -366,6 +923,14 @@ module.exports = class Chain {
 	}
 
 	_findMultisigMemberWalletAddress(transaction, signature, memberPublicKeyList) {
+		let memberPublicKey = this._findMultisigMemberPublicKey(transaction, signature, memberPublicKeyList);
+		if (!memberPublicKey) {
+			return null;
+		}
+		return liskCryptography.getAddressFromPublicKey(memberPublicKey);
+	}
+
+	_findMultisigMemberPublicKey(transaction, signature, memberPublicKeyList) {
 		let { signature: txnSignature, signSignature, signatures, ...transactionToHash } = transaction;
 		if (!transactionToHash.asset) {
 			transactionToHash.asset = {};
@@ -378,13 +943,190 @@ module.exports = class Chain {
 			let txnHash = liskCryptography.hash(liskTransactions.utils.getTransactionBytes(transactionToHash));
 			return liskCryptography.verifyData(txnHash, signature, publicKey);
 		});
+		return memberPublicKey || null;
+	}
+
+	// Signers are only stored for the transactions which were applied after the trs_multisig_signatures
+	// table was created, the signers of older confirmed transactions are resolved once on startup.
+	// The progress is persisted so that the backfill resumes where it stopped and never runs again once finished,
+	// transactions of which no signature matches a member are skipped for good.
+	// Members of a multisignature wallet can not change so the current members are the ones which signed.
+	async _backfillMultisigSigners() {
+		let progress = await this.storage.adapter.db.oneOrNone(
+			'select trs_multisig_signers_backfill."lastRowId", trs_multisig_signers_backfill.finished from trs_multisig_signers_backfill'
+		);
+		if (!progress || progress.finished) {
+			return;
+		}
+		let lastRowId = Number(progress.lastRowId);
+		let backfilledCount = 0;
+		while (true) {
+			let transactions = await this.storage.adapter.db.query(
+				'select trs."rowId", trs.id, trs.type, trs."senderId", trs."senderPublicKey", trs.timestamp, trs."recipientId", trs.amount, trs."blockId", trs."transferData", trs.signatures from trs where trs.type = 0 and trs.signatures is not null and trs."rowId" > $1 and not exists (select 1 from trs_multisig_signatures where trs_multisig_signatures."transactionId" = trs.id) order by trs."rowId" asc limit $2',
+				[lastRowId, MULTISIG_SIGNERS_BACKFILL_BATCH_SIZE]
+			);
+			if (!transactions.length) {
+				await this.storage.adapter.db.none(
+					'update trs_multisig_signers_backfill set finished = true'
+				);
+				break;
+			}
+			let signers = [];
+			for (let { rowId, ...txn } of transactions) {
+				let multisigMemberList = await this._getMultisigWalletMembers(txn.senderId);
+				let memberPublicKeyList = multisigMemberList.map(member => member.dependentId);
+				for (let signature of txn.signatures.split(',')) {
+					let signerPublicKey = this._findMultisigMemberPublicKey(txn, signature, memberPublicKeyList);
+					if (signerPublicKey) {
+						signers.push({
+							transactionId: txn.id,
+							signature,
+							signerPublicKey,
+							signerAddress: liskCryptography.getAddressFromPublicKey(signerPublicKey)
+						});
+					}
+				}
+			}
+			lastRowId = transactions[transactions.length - 1].rowId;
+			await this.storage.adapter.db.tx('chain:backfillMultisigSigners', async (t) => {
+				await this.storage.entities.Transaction.createMultisigSignatures(signers, t);
+				await t.none(
+					'update trs_multisig_signers_backfill set "lastRowId" = $1',
+					[lastRowId]
+				);
+			});
+			backfilledCount += transactions.length;
+		}
+		if (backfilledCount) {
+			this.logger.info(
+				{ transactionsCount: backfilledCount },
+				'Stored the signers of multisignature transactions confirmed before signers were persisted'
+			);
+		}
+	}
+
+	async _getBlocksWithTransactions(fromHeight, toHeight) {
+		if (toHeight <= fromHeight) {
+			return [];
+		}
+		let blocks = [];
+		if (fromHeight < 1) {
+			blocks = await this.blocks.loadBlocksWithTransactions({
+				id: this.options.genesisBlock.id
+			});
+			fromHeight = 1;
+		}
+		if (toHeight > fromHeight) {
+			let [fromBlock] = await this.storage.entities.Block.get(
+				{ height: fromHeight },
+				{ limit: 1 }
+			);
+			if (fromBlock) {
+				let nextBlocks = await this.blocks.loadBlocksWithTransactions({
+					lastId: fromBlock.id,
+					limit: toHeight - fromHeight + 1
+				});
+				blocks = blocks.concat(nextBlocks);
+			}
+		}
+		return Promise.all(
+			blocks.map(block => this._sanitizeBlock(block))
+		);
+	}
+
+	async _sanitizeBlock(block) {
+		let transactionRows = block.transactions.map(transaction => {
+			return this._toTransactionRow({
+				...transaction.toJSON(),
+				blockId: block.id
+			});
+		});
+		return {
+			...this._sanitizeBlockHeader(block),
+			transactions: await this._sanitizeTransactions(transactionRows)
+		};
+	}
+
+	_sanitizeBlockHeader(block) {
+		return {
+			id: block.id,
+			height: block.height,
+			version: block.version,
+			timestamp: block.timestamp,
+			previousBlockId: block.previousBlock || null,
+			generatorPublicKey: block.generatorPublicKey,
+			generatorAddress: block.generatorId,
+			payloadHash: block.payloadHash,
+			payloadLength: block.payloadLength,
+			blockSignature: block.blockSignature,
+			numberOfTransactions: block.numberOfTransactions,
+			totalAmount: block.totalAmount.toString(),
+			totalFee: block.totalFee.toString(),
+			reward: block.reward.toString()
+		};
+	}
+
+	// Converts a transaction JSON object (from storage or from the pool)
+	// to the same shape as the trs rows which are selected by the other actions.
+	_toTransactionRow(transaction) {
+		let transferData = null;
+		if (transaction.transferData) {
+			transferData = transaction.transferData;
+		} else if (transaction.type === 0 && transaction.asset && transaction.asset.data) {
+			transferData = Buffer.from(transaction.asset.data, 'utf8');
+		}
+		return {
+			id: transaction.id,
+			type: transaction.type,
+			senderId: transaction.senderId,
+			senderPublicKey: transaction.senderPublicKey,
+			timestamp: transaction.timestamp,
+			recipientId: transaction.recipientId || null,
+			amount: transaction.amount == null ? '0' : transaction.amount.toString(),
+			blockId: transaction.blockId || null,
+			transferData,
+			signatures: transaction.signatures && transaction.signatures.length ?
+				transaction.signatures.join(',') : null
+		};
+	}
+
+	// Pending transactions are class instances so the signed bytes can be taken from the transaction itself;
+	// this works for all transaction types, not only for transfers.
+	_findPendingTransactionSignerAddress(transaction, signature, memberPublicKeyList) {
+		let txnHash = liskCryptography.hash(transaction.getBasicBytes());
+		let memberPublicKey = memberPublicKeyList.find((publicKey) => {
+			return liskCryptography.verifyData(txnHash, signature, publicKey);
+		});
 		if (!memberPublicKey) {
 			return null;
 		}
 		return liskCryptography.getAddressFromPublicKey(memberPublicKey);
 	}
 
+	async _getMultisigTransactionSigners(transactionIds) {
+		if (!transactionIds.length) {
+			return {};
+		}
+		let signerRows = await this.storage.adapter.db.query(
+			'select trs_multisig_signatures."transactionId", trs_multisig_signatures.signature, trs_multisig_signatures."signerAddress" from trs_multisig_signatures where trs_multisig_signatures."transactionId" in ($1:csv)',
+			[transactionIds]
+		);
+		let signerAddresses = {};
+		for (let row of signerRows) {
+			signerAddresses[`${row.transactionId}:${row.signature}`] = row.signerAddress;
+		}
+		return signerAddresses;
+	}
+
 	async _sanitizeTransactions(transactions) {
+		// Signers are resolved when the transaction is applied so that they can be looked up directly.
+		// Pending transactions from the pool do not have any stored signers yet so their signers are
+		// resolved from the members of the wallet instead.
+		let signerAddresses = await this._getMultisigTransactionSigners(
+			transactions
+				.filter(txn => txn.type === 0 && txn.signatures)
+				.map(txn => txn.id)
+		);
 		return Promise.all(
 			transactions.map(async (txn) => {
 				let newTxn = {
@@ -406,12 +1148,19 @@ module.exports = class Chain {
 				if (txn.type === 0 && txn.signatures) {
 					let signatureList = txn.signatures.split(',');
 					if (signatureList.length) {
-						let { senderId } = txn;
-						let multisigMemberList = await this._getMultisigWalletMembers(senderId);
-						let memberPublicKeyList = multisigMemberList.map(member => member.dependentId);
+						let hasStoredSigners = signatureList.every(
+							signature => signerAddresses[`${txn.id}:${signature}`]
+						);
+						let memberPublicKeyList = [];
+						if (!hasStoredSigners) {
+							let multisigMemberList = await this._getMultisigWalletMembers(txn.senderId);
+							memberPublicKeyList = multisigMemberList.map(member => member.dependentId);
+						}
 						newTxn.signatures = signatureList.map((signature) => {
 							return {
-								signerAddress: this._findMultisigMemberWalletAddress(txn, signature, memberPublicKeyList),
+								signerAddress: hasStoredSigners ?
+									signerAddresses[`${txn.id}:${signature}`] :
+									this._findMultisigMemberWalletAddress(txn, signature, memberPublicKeyList),
 								signature
 							};
 						});
@@ -484,6 +1233,10 @@ module.exports = class Chain {
 			},
 		});
 		this.scope.modules.rounds = this.rounds;
+		this.eventLog = new EventLog({
+			storage: this.storage,
+			logger: this.logger,
+		});
 		this.blocks = new Blocks({
 			logger: this.logger,
 			storage: this.storage,
@@ -493,6 +1246,7 @@ module.exports = class Chain {
 			exceptions: this.options.exceptions,
 			roundsModule: this.rounds,
 			interfaceAdapters: this.interfaceAdapters,
+			eventLog: this.eventLog,
 			blockReceiptTimeout: this.options.constants.BLOCK_RECEIPT_TIMEOUT,
 			loadPerIteration: 1000,
 			maxPayloadLength: this.options.constants.MAX_PAYLOAD_LENGTH,
@@ -504,8 +1258,18 @@ module.exports = class Chain {
 			rewardMileStones: this.options.constants.REWARDS.MILESTONES,
 			totalAmount: this.options.constants.TOTAL_AMOUNT,
 			blockSlotWindow: this.options.constants.BLOCK_SLOT_WINDOW,
+			checkpoints: this.options.checkpoints,
+			verificationWorkers: this.options.syncing.verificationWorkers,
 		});
 		this.scope.modules.blocks = this.blocks;
+		this.snapshot = new Snapshot({
+			storage: this.storage,
+			logger: this.logger,
+			genesisBlock: this.options.genesisBlock,
+			blocksVerify: this.blocks.blocksVerify,
+			interfaceAdapters: this.interfaceAdapters,
+			checkpoints: this.options.checkpoints,
+		});
 		this.transactionPool = new TransactionPool({
 			logger: this.logger,
 			storage: this.storage,
@@ -530,6 +1294,14 @@ module.exports = class Chain {
 			minBroadhashConsensus: this.options.constants.MIN_BROADHASH_CONSENSUS,
 		});
 		this.scope.modules.peers = this.peers;
+		this.peerReputation = new PeerReputation({
+			channel: this.channel,
+			logger: this.logger,
+			penalties: this.options.peerReputation.penalties,
+			decayHalfLife: this.options.peerReputation.decayHalfLife,
+			penaltyThreshold: this.options.peerReputation.penaltyThreshold,
+			banThreshold: this.options.peerReputation.banThreshold,
+		});
 		this.loader = new Loader({
 			moduleAlias: this.moduleAlias,
 			channel: this.channel,
@@ -541,9 +1313,13 @@ module.exports = class Chain {
 			blocksModule: this.blocks,
 			peersModule: this.peers,
 			interfaceAdapters: this.interfaceAdapters,
+			peerReputation: this.peerReputation,
 			loadPerIteration: this.options.loading.loadPerIteration,
 			rebuildUpToRound: this.options.loading.rebuildUpToRound,
 			syncingActive: this.options.syncing.active,
+			maxForkDepth: this.options.syncing.maxForkDepth,
+			downloadPeers: this.options.syncing.downloadPeers,
+			activeDelegates: this.options.constants.ACTIVE_DELEGATES,
 		});
 		this.forger = new Forger({
 			channel: this.channel,
@@ -573,6 +1349,7 @@ module.exports = class Chain {
 			blocksModule: this.blocks,
 			loaderModule: this.loader,
 			interfaceAdapters: this.interfaceAdapters,
+			peerReputation: this.peerReputation,
 			nonce: this.options.nonce,
 			broadcasts: this.options.broadcasts,
 			maxSharedTransactions: this.options.constants.MAX_SHARED_TRANSACTIONS,
@@ -623,6 +1400,20 @@ module.exports = class Chain {
 		);
 	}
 
+	_expireMultisignatureTransactions() {
+		jobQueue.register(
+			'expireMultisignatureTransactions',
+			async () => {
+				try {
+					await this.transactionPool.expireMultisignatureTransactions();
+				} catch (error) {
+					this.logger.error(error, 'Failed to expire multisignature transactions');
+				}
+			},
+			this.options.constants.EXPIRY_INTERVAL,
+		);
+	}
+
 	async _forgingTask() {
 		return this.scope.sequence.add(async () => {
 			try {
@@ -655,7 +1446,186 @@ module.exports = class Chain {
 		);
 	}
 
+	_queueFinalityUpdate(task) {
+		this._finalityQueue = this._finalityQueue
+			.then(task)
+			.catch(error => {
+				this.logger.error(error, 'Failed to update finalized blocks');
+			});
+		return this._finalityQueue;
+	}
+
+	// Blocks and transactions are finalized once they are buried under the configured number of blocks
+	// (including the block itself).
+	async _publishFinalized(lastHeight) {
+		let { blocksDepth, transactionsDepth } = this.options.finality;
+		let blocksTargetHeight = lastHeight - blocksDepth + 1;
+		let transactionsTargetHeight = lastHeight - transactionsDepth + 1;
+		let toHeight = Math.max(blocksTargetHeight, transactionsTargetHeight);
+		let fromHeight = Math.min(this._lastFinalizedBlockHeight, this._lastFinalizedTransactionsHeight);
+
+		while (fromHeight < toHeight) {
+			let blocks = await this._getBlocksWithTransactions(
+				fromHeight,
+				Math.min(toHeight, fromHeight + MAX_BLOCKS_WITH_TRANSACTIONS_LIMIT)
+			);
+			if (!blocks.length) {
+				break;
+			}
+			for (let block of blocks) {
+				if (block.height > this._lastFinalizedBlockHeight && block.height <= blocksTargetHeight) {
+					let { transactions, ...blockHeader } = block;
+					this.channel.publish(`${this.moduleAlias}:blocks:finalized`, blockHeader);
+					this._lastFinalizedBlockHeight = block.height;
+				}
+				if (block.height > this._lastFinalizedTransactionsHeight && block.height <= transactionsTargetHeight) {
+					if (block.transactions.length) {
+						this.channel.publish(`${this.moduleAlias}:transactions:finalized`, {
+							blockId: block.id,
+							height: block.height,
+							transactions: block.transactions
+						});
+					}
+					this._lastFinalizedTransactionsHeight = block.height;
+				}
+			}
+			fromHeight = blocks[blocks.length - 1].height;
+		}
+	}
+
+	// When a block which was already finalized gets deleted, consumers are notified so that
+	// they can roll back; blocks which have not reached the depth yet were never published.
+	async _retractFinalized(block) {
+		if (block.height <= this._lastFinalizedTransactionsHeight) {
+			if (block.transactions.length) {
+				this.channel.publish(`${this.moduleAlias}:transactions:finalized:retracted`, {
+					blockId: block.id,
+					height: block.height,
+					transactionIds: block.transactions.map(transaction => transaction.id)
+				});
+			}
+			this._lastFinalizedTransactionsHeight = block.height - 1;
+		}
+		if (block.height <= this._lastFinalizedBlockHeight) {
+			this.channel.publish(`${this.moduleAlias}:blocks:finalized:retracted`, {
+				id: block.id,
+				height: block.height
+			});
+			this._lastFinalizedBlockHeight = block.height - 1;
+		}
+	}
+
+	// The interchain module replaces the whole state of the module on each update.
+	_updateModuleState(state) {
+		this._moduleState = {
+			...this._moduleState,
+			...state
+		};
+		this.channel.invoke('interchain:updateModuleState', {
+			[this.moduleAlias]: this._moduleState
+		});
+	}
+
+	_isLastBlockOfRound(block) {
+		return this.slots.calcRound(block.height) !== this.slots.calcRound(block.height + 1);
+	}
+
+	async _getLastStateRoot() {
+		let lastBlock = this.blocks.lastBlock;
+		let round = this.slots.calcRound(lastBlock.height);
+		if (!this._isLastBlockOfRound(lastBlock)) {
+			round--;
+		}
+		if (round < 1) {
+			return null;
+		}
+		return this.storage.entities.Round.getStateRoot(round);
+	}
+
+	async _updateLastStateRoot() {
+		try {
+			let lastStateRoot = await this._getLastStateRoot();
+			this._updateModuleState({
+				stateRoot: lastStateRoot ? lastStateRoot.stateRoot : null,
+				stateRootRound: lastStateRoot ? lastStateRoot.round : null
+			});
+		} catch (error) {
+			this.logger.error(error, 'Failed to update the state root of the module state');
+		}
+	}
+
+	async _bootstrapFromSnapshot(filePath) {
+		let blocksCount = await this.storage.entities.Block.count({});
+		if (blocksCount > 0) {
+			this.logger.info(
+				{ filePath, blocksCount },
+				'Skipping snapshot import because the database already contains blocks'
+			);
+			return;
+		}
+		let { snapshotBlockId, snapshotStateRoot } = this.options.loading;
+		await this.snapshot.importSnapshot(filePath, {
+			blockId: snapshotBlockId,
+			stateRoot: snapshotStateRoot
+		});
+	}
+
+	_waitForLastBlockOfRound() {
+		let lastBlock = this.blocks.lastBlock;
+		if (this._isLastBlockOfRound(lastBlock)) {
+			return Promise.resolve(lastBlock);
+		}
+		let { ACTIVE_DELEGATES, BLOCK_TIME } = this.options.constants;
+		let timeout = ROUND_END_TIMEOUT_ROUNDS * ACTIVE_DELEGATES * BLOCK_TIME * 1000;
+		return new Promise((resolve, reject) => {
+			let timeoutId;
+			let onNewBlock = ({ block }) => {
+				if (this._isLastBlockOfRound(block)) {
+					clearTimeout(timeoutId);
+					this.blocks.removeListener(EVENT_NEW_BLOCK, onNewBlock);
+					resolve(block);
+				}
+			};
+			timeoutId = setTimeout(() => {
+				this.blocks.removeListener(EVENT_NEW_BLOCK, onNewBlock);
+				reject(
+					new Error(`The last block of the round was not received within ${timeout} ms`)
+				);
+			}, timeout);
+			this.blocks.on(EVENT_NEW_BLOCK, onNewBlock);
+		});
+	}
+
+	async _exportSnapshotAtRoundEnd(filePath) {
+		let lastError;
+		// The chain can move past the end of the round before the export transaction starts,
+		// in which case the export is attempted again at the end of the next round.
+		for (let i = 0; i < MAX_SNAPSHOT_EXPORT_ATTEMPTS; i++) {
+			let block = await this._waitForLastBlockOfRound();
+			try {
+				return await this.snapshot.exportSnapshot(filePath, {
+					round: this.slots.calcRound(block.height),
+					height: block.height
+				});
+			} catch (error) {
+				lastError = error;
+				this.logger.warn(
+					{ height: block.height, error: error.message },
+					'Failed to export snapshot at the end of the round'
+				);
+			}
+		}
+		throw lastError;
+	}
+
 	_subscribeToEvents() {
+		let { blocksDepth, transactionsDepth } = this.options.finality;
+		let lastHeight = this.blocks.lastBlock.height;
+		// Blocks which were already deep enough before the node started are not published again.
+		this._lastFinalizedBlockHeight = Math.max(lastHeight - blocksDepth + 1, 0);
+		this._lastFinalizedTransactionsHeight = Math.max(lastHeight - transactionsDepth + 1, 0);
+		this._finalityQueue = Promise.resolve();
+
 		this.blocks.on(EVENT_BROADCAST_BLOCK, ({ block }) => {
 			this.transport.onBroadcastBlock(block, true);
 		});
@@ -674,6 +1644,10 @@ module.exports = class Chain {
 				'Deleted a block from the leasehold chain',
 			);
 			this.channel.publish(`${this.moduleAlias}:blocks:change`, block);
+			this._queueFinalityUpdate(() => this._retractFinalized(block));
+			if (this._isLastBlockOfRound(block)) {
+				this._updateLastStateRoot();
+			}
 		});
 
 		this.blocks.on(EVENT_NEW_BLOCK, ({ block }) => {
@@ -693,6 +1667,10 @@ module.exports = class Chain {
 				'New block added to the leasehold chain',
 			);
 			this.channel.publish(`${this.moduleAlias}:blocks:change`, block);
+			this._queueFinalityUpdate(() => this._publishFinalized(block.height));
+			if (this._isLastBlockOfRound(block)) {
+				this._updateLastStateRoot();
+			}
 		});
 
 		this.transactionPool.on(EVENT_UNCONFIRMED_TRANSACTION, transaction => {
@@ -703,19 +1681,33 @@ module.exports = class Chain {
 			this.transport.onUnconfirmedTransaction(transaction, true);
 		});
 
-		this.channel.invoke('interchain:updateModuleState', {
-			[this.moduleAlias]: {}
+		this.transactionPool.on(EVENT_MULTISIGNATURE_SIGNATURE, signature => {
+			this.logger.trace(
+				{ signature },
+				'Received EVENT_MULTISIGNATURE_SIGNATURE',
+			);
+			this.transport.onSignature(signature, true);
 		});
 
+		this._moduleState = {};
+		this._updateModuleState({ finalizedHeight: this.blocks.finalizedHeight });
+		this._updateLastStateRoot();
+
 		this.blocks.on(EVENT_NEW_BROADHASH, ({ broadhash, height }) => {
-			this.channel.invoke('interchain:updateModuleState', {
-				[this.moduleAlias]: { broadhash, height }
-			});
+			this._updateModuleState({ broadhash, height });
 			this.logger.debug(
 				{ broadhash, height },
 				'Updating the leasehold chain state',
 			);
 		});
+
+		this.blocks.on(EVENT_NEW_FINALIZED_HEIGHT, ({ finalizedHeight, finalizedBlockId }) => {
+			this._updateModuleState({ finalizedHeight });
+			this.logger.debug(
+				{ finalizedHeight, finalizedBlockId },
+				'Updating the leasehold chain finalized height',
+			);
+		});
 	}
 
 	_unsubscribeToEvents() {
@@ -723,6 +1715,8 @@ module.exports = class Chain {
 		this.blocks.removeAllListeners(EVENT_DELETE_BLOCK);
 		this.blocks.removeAllListeners(EVENT_NEW_BLOCK);
 		this.blocks.removeAllListeners(EVENT_NEW_BROADHASH);
+		this.blocks.removeAllListeners(EVENT_NEW_FINALIZED_HEIGHT);
 		this.blocks.removeAllListeners(EVENT_UNCONFIRMED_TRANSACTION);
+		this.transactionPool.removeAllListeners(EVENT_MULTISIGNATURE_SIGNATURE);
 	}
 };
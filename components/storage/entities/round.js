@@ -48,6 +48,13 @@ const sqlFiles = {
 	checkSnapshotAvailability: 'rounds/check_snapshot_availability.sql',
 	countRoundSnapshot: 'rounds/count_round_snapshot.sql',
 	getDelegatesSnapshot: 'rounds/get_delegates_snapshot.sql',
+	declareStateAccountsCursor: 'rounds/declare_state_accounts_cursor.sql',
+	createStateRoot: 'rounds/create_state_root.sql',
+	deleteStateRoot: 'rounds/delete_state_root.sql',
+	getStateRoot: 'rounds/get_state_root.sql',
+	createDelegateList: 'rounds/create_delegate_list.sql',
+	deleteDelegateList: 'rounds/delete_delegate_list.sql',
+	getDelegateLists: 'rounds/get_delegate_lists.sql',
 };
 
 /**
@@ -419,6 +426,147 @@ class Round extends BaseEntity {
 		);
 	}
 
+	/**
+	 * Read the balance and votes of all accounts ordered by address, one batch at a time.
+	 *
+	 * @param {Number} batchSize - Number of accounts per batch
+	 * @param {function} onBatch - Called with each batch of accounts, in order
+	 * @param {Object} tx - Database transaction object, required by the cursor
+	 * @return {Promise}
+	 */
+	async forEachStateAccountsBatch(batchSize, onBatch, tx) {
+		await this.adapter.executeFile(
+			this.SQLs.declareStateAccountsCursor,
+			{},
+			{ expectedResultCount: 0 },
+			tx,
+		);
+		// eslint-disable-next-line no-constant-condition
+		while (true) {
+			// eslint-disable-next-line no-await-in-loop
+			const accounts = await this.adapter.execute(
+				'FETCH $1:raw FROM state_accounts_cursor',
+				[batchSize],
+				{},
+				tx,
+			);
+			if (!accounts.length) {
+				break;
+			}
+			onBatch(accounts);
+		}
+		await this.adapter.execute('CLOSE state_accounts_cursor', {}, {}, tx);
+	}
+
+	/**
+	 * Create or replace the state root of a round into rounds_state_roots.
+	 *
+	 * @param {Number} round - Round number
+	 * @param {Number} height - Height of the last block of the round
+	 * @param {String} blockId - Id of the last block of the round
+	 * @param {String} stateRoot - Hash of the account state
+	 * @param {Number} accountsCount - Number of accounts included in the hash
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {Promise}
+	 */
+	createStateRoot({ round, height, blockId, stateRoot, accountsCount }, tx) {
+		return this.adapter.executeFile(
+			this.SQLs.createStateRoot,
+			{
+				round,
+				height,
+				blockId,
+				stateRoot,
+				accountsCount,
+			},
+			{ expectedResultCount: 0 },
+			tx,
+		);
+	}
+
+	/**
+	 * Delete the state root of a round from rounds_state_roots.
+	 *
+	 * @param {Number} round - Round number
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {Promise}
+	 */
+	deleteStateRoot(round, tx) {
+		return this.adapter.executeFile(
+			this.SQLs.deleteStateRoot,
+			{ round },
+			{ expectedResultCount: 0 },
+			tx,
+		);
+	}
+
+	/**
+	 * Get the state root of a round.
+	 *
+	 * @param {Number} round - Round number
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {Promise.<Object|null>}
+	 */
+	async getStateRoot(round, tx) {
+		const rows = await this.adapter.executeFile(
+			this.SQLs.getStateRoot,
+			{ round },
+			{},
+			tx,
+		);
+		return rows.length ? rows[0] : null;
+	}
+
+	/**
+	 * Create or replace the delegate list of a round into rounds_delegate_lists.
+	 *
+	 * @param {Number} round - Round number
+	 * @param {Array.<String>} delegatePublicKeys - Public keys in forging order
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {Promise}
+	 */
+	createDelegateList({ round, delegatePublicKeys }, tx) {
+		return this.adapter.executeFile(
+			this.SQLs.createDelegateList,
+			{ round, delegatePublicKeys },
+			{ expectedResultCount: 0 },
+			tx,
+		);
+	}
+
+	/**
+	 * Delete the delegate list of a round from rounds_delegate_lists.
+	 *
+	 * @param {Number} round - Round number
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {Promise}
+	 */
+	deleteDelegateList(round, tx) {
+		return this.adapter.executeFile(
+			this.SQLs.deleteDelegateList,
+			{ round },
+			{ expectedResultCount: 0 },
+			tx,
+		);
+	}
+
+	/**
+	 * Get the stored delegate lists of a range of rounds.
+	 *
+	 * @param {Number} fromRound - Inclusive
+	 * @param {Number} toRound - Inclusive
+	 * @param {Object} [tx] - Database transaction object
+	 * @return {Promise.<Array.<Object>>} round and delegatePublicKeys
+	 */
+	getDelegateLists(fromRound, toRound, tx) {
+		return this.adapter.executeFile(
+			this.SQLs.getDelegateLists,
+			{ fromRound, toRound },
+			{},
+			tx,
+		);
+	}
+
 	/**
 	 * Drop the table for round snapshot.
 	 *
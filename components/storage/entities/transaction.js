@@ -124,6 +124,8 @@ const {
 
 const sqlFiles = {
 	create: 'transactions/create.sql',
+	createMultisigSignatures: 'transactions/create_multisig_signatures.sql',
+	deleteMultisigSignatures: 'transactions/delete_multisig_signatures.sql',
 };
 
 const trsCreateFields = [
@@ -144,6 +146,13 @@ const trsCreateFields = [
 	'transferData',
 ];
 
+const multisigSignatureFields = [
+	'transactionId',
+	'signature',
+	'signerPublicKey',
+	'signerAddress',
+];
+
 class ChainTransaction extends TransactionEntity {
 	/**
 	 * Constructor
@@ -179,6 +188,48 @@ class ChainTransaction extends TransactionEntity {
 		);
 	}
 
+	/**
+	 * Create the resolved signer records of multisignature transactions
+	 *
+	 * @param {Array.<Object>} signatures - List of {transactionId, signature, signerPublicKey, signerAddress}
+	 * @param {Object} [tx] - Transaction object
+	 * @return {Promise}
+	 */
+	createMultisigSignatures(signatures, tx) {
+		if (!signatures.length) {
+			return Promise.resolve();
+		}
+
+		const createSet = this.getValuesSet(signatures, multisigSignatureFields);
+
+		return this.adapter.executeFile(
+			this.SQLs.createMultisigSignatures,
+			{ values: createSet, attributes: multisigSignatureFields },
+			{ expectedResultCount: 0 },
+			tx,
+		);
+	}
+
+	/**
+	 * Delete the resolved signer records of multisignature transactions
+	 *
+	 * @param {Array.<string>} transactionIds - List of transaction ids
+	 * @param {Object} [tx] - Transaction object
+	 * @return {Promise}
+	 */
+	deleteMultisigSignatures(transactionIds, tx) {
+		if (!transactionIds.length) {
+			return Promise.resolve();
+		}
+
+		return this.adapter.executeFile(
+			this.SQLs.deleteMultisigSignatures,
+			{ transactionIds },
+			{ expectedResultCount: 0 },
+			tx,
+		);
+	}
+
 	static _sanitizeCreateData(data) {
 		const transactions = Array.isArray(data)
 			? _.cloneDeep(data)
@@ -24,3 +24,5 @@ DELETE FROM mem_round;
 DELETE FROM mem_accounts2delegates;
 DELETE FROM mem_accounts2multisignatures;
 DELETE FROM rounds_rewards;
+DELETE FROM trs_multisig_signatures;
+DELETE FROM rounds_state_roots;
@@ -0,0 +1,31 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Insert or replace the delegate list of a round.
+
+  PARAMETERS: round - Round number
+              delegatePublicKeys - Public keys of the delegates in forging order
+*/
+
+INSERT INTO rounds_delegate_lists (
+	"round",
+	"delegatePublicKeys"
+) VALUES (
+	${round},
+	${delegatePublicKeys}
+)
+ON CONFLICT ("round") DO UPDATE SET
+	"delegatePublicKeys" = EXCLUDED."delegatePublicKeys"
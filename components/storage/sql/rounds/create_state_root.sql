@@ -0,0 +1,43 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Insert or replace the state root of a round.
+
+  PARAMETERS: round - Round number
+              height - Height of the last block of the round
+              blockId - Id of the last block of the round
+              stateRoot - Hash of the account state
+              accountsCount - Number of accounts included in the hash
+*/
+
+INSERT INTO rounds_state_roots (
+	"round",
+	"height",
+	"blockId",
+	"stateRoot",
+	"accountsCount"
+) VALUES (
+	${round},
+	${height},
+	${blockId},
+	${stateRoot},
+	${accountsCount}
+)
+ON CONFLICT ("round") DO UPDATE SET
+	"height" = EXCLUDED."height",
+	"blockId" = EXCLUDED."blockId",
+	"stateRoot" = EXCLUDED."stateRoot",
+	"accountsCount" = EXCLUDED."accountsCount"
@@ -0,0 +1,37 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Declare a cursor over the balance and votes of all accounts in a deterministic order,
+  used to compute the state root without loading all the accounts at once. Must run inside a transaction.
+
+  PARAMETERS: None
+*/
+
+DECLARE state_accounts_cursor NO SCROLL CURSOR FOR
+SELECT
+	a."address",
+	a."balance"::text AS "balance",
+	a."vote"::text AS "vote",
+	COALESCE(v."votedDelegatesPublicKeys", '') AS "votedDelegatesPublicKeys"
+FROM mem_accounts a
+LEFT JOIN (
+	SELECT
+		"accountId",
+		string_agg("dependentId", ',' ORDER BY "dependentId" COLLATE "C") AS "votedDelegatesPublicKeys"
+	FROM mem_accounts2delegates
+	GROUP BY "accountId"
+) v ON v."accountId" = a."address"
+ORDER BY a."address" COLLATE "C"
@@ -0,0 +1,22 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+  DESCRIPTION: Deletes the resolved signer records of multisignature transactions
+
+  PARAMETERS: transactionIds - List of transaction ids
+*/
+
+DELETE FROM trs_multisig_signatures WHERE "transactionId" IN (${transactionIds:csv});
@@ -87,6 +87,25 @@ const defaultConfig = {
 				active: {
 					type: 'boolean',
 				},
+				verificationWorkers: {
+					type: 'integer',
+					minimum: 0,
+					description:
+						'Number of worker threads which verify signatures of blocks received during sync, 0 to verify them on the main thread',
+				},
+				maxForkDepth: {
+					type: 'integer',
+					minimum: 1,
+					maximum: 999,
+					description:
+						'Maximum number of own blocks which are reverted to switch to the chain of a peer, never below the finalized height',
+				},
+				downloadPeers: {
+					type: 'integer',
+					minimum: 1,
+					description:
+						'Number of peers from which blocks are downloaded in parallel during sync',
+				},
 			},
 			required: ['active'],
 		},
@@ -102,9 +121,108 @@ const defaultConfig = {
 					type: ['integer', 'null'],
 					arg: '--rebuild,-b',
 				},
+				auditFromHeight: {
+					type: ['integer', 'null'],
+					arg: '--audit',
+					description:
+						'Height from which the stored blockchain is verified without being modified, the node exits once the audit is finished',
+				},
+				snapshotPath: {
+					type: ['string', 'null'],
+					arg: '--snapshot',
+					description:
+						'Path of a snapshot file which is imported on startup if the database is empty',
+				},
+				snapshotBlockId: {
+					type: ['string', 'null'],
+					arg: '--snapshot-block-id',
+					description:
+						'Trusted id of the last block of the snapshot, required unless the last block is a checkpoint',
+				},
+				snapshotStateRoot: {
+					type: ['string', 'null'],
+					arg: '--snapshot-state-root',
+					description:
+						'Trusted state root of the round of the snapshot, the state root of the manifest is used if not set',
+				},
 			},
 			required: ['loadPerIteration'],
 		},
+		finality: {
+			type: 'object',
+			properties: {
+				blocksDepth: {
+					type: 'integer',
+					minimum: 1,
+				},
+				transactionsDepth: {
+					type: 'integer',
+					minimum: 1,
+				},
+			},
+			required: ['blocksDepth', 'transactionsDepth'],
+		},
+		peerReputation: {
+			type: 'object',
+			properties: {
+				penalties: {
+					type: 'object',
+					description:
+						'Score which is added to a peer for each offence, the score of a peer is halved every decayHalfLife milliseconds',
+					properties: {
+						invalidSchema: {
+							type: 'integer',
+							minimum: 0,
+						},
+						invalidBlock: {
+							type: 'integer',
+							minimum: 0,
+						},
+						invalidTransaction: {
+							type: 'integer',
+							minimum: 0,
+						},
+						unresponsive: {
+							type: 'integer',
+							minimum: 0,
+						},
+					},
+					required: [
+						'invalidSchema',
+						'invalidBlock',
+						'invalidTransaction',
+						'unresponsive',
+					],
+				},
+				decayHalfLife: {
+					type: 'integer',
+					minimum: 1,
+				},
+				penaltyThreshold: {
+					type: 'integer',
+					minimum: 1,
+				},
+				banThreshold: {
+					type: 'integer',
+					minimum: 1,
+				},
+			},
+			required: [
+				'penalties',
+				'decayHalfLife',
+				'penaltyThreshold',
+				'banThreshold',
+			],
+		},
+		checkpoints: {
+			type: 'object',
+			description:
+				'Block ids which are known to be part of the chain in the format: 101: "<block id>"',
+			additionalProperties: {
+				type: 'string',
+				format: 'id',
+			},
+		},
 		exceptions: {
 			type: 'object',
 			properties: {
@@ -194,6 +312,11 @@ const defaultConfig = {
 					description:
 						'In format: { version: { start: start_height, end: end_height }}',
 				},
+				blockVersionActivations: {
+					type: 'object',
+					description:
+						'In format: { version: first_height }, version 2 uses a Merkle root of the transaction bytes as payload hash',
+				},
 				recipientLeadingZero: {
 					type: 'object',
 					description: 'In format: { transaction_id: "account_address"} ',
@@ -240,6 +363,9 @@ const defaultConfig = {
 		'forging',
 		'syncing',
 		'loading',
+		'finality',
+		'peerReputation',
+		'checkpoints',
 		'exceptions',
 	],
 	default: {
@@ -258,11 +384,34 @@ const defaultConfig = {
 		},
 		syncing: {
 			active: true,
+			verificationWorkers: 2,
+			maxForkDepth: 303,
+			downloadPeers: 4,
 		},
 		loading: {
 			loadPerIteration: 5000,
 			rebuildUpToRound: null,
+			auditFromHeight: null,
+			snapshotPath: null,
+			snapshotBlockId: null,
+			snapshotStateRoot: null,
+		},
+		finality: {
+			blocksDepth: 101,
+			transactionsDepth: 101,
+		},
+		peerReputation: {
+			penalties: {
+				invalidSchema: 10,
+				invalidBlock: 25,
+				invalidTransaction: 5,
+				unresponsive: 2,
+			},
+			decayHalfLife: 600000,
+			penaltyThreshold: 20,
+			banThreshold: 100,
 		},
+		checkpoints: {},
 		exceptions: {
 			blockRewards: [],
 			senderPublicKey: [],
@@ -275,6 +424,7 @@ const defaultConfig = {
 			precedent: { disableDappTransfer: 0, disableDappTransaction: 0 },
 			ignoreDelegateListCacheForRounds: [],
 			blockVersions: {},
+			blockVersionActivations: {},
 			roundVotes: [],
 			recipientLeadingZero: {},
 			recipientExceedingUint64: {},
@@ -0,0 +1,186 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const EVENT_BLOCK_APPLIED = 'block:applied';
+const EVENT_BLOCK_REVERTED = 'block:reverted';
+const EVENT_TRANSACTIONS_CONFIRMED = 'transactions:confirmed';
+const EVENT_TRANSACTIONS_REVERTED = 'transactions:reverted';
+
+const DEFAULT_EVENTS_LIMIT = 100;
+const MAX_EVENTS_LIMIT = 1000;
+
+const getBlockEventData = block => ({
+	id: block.id,
+	height: block.height,
+	previousBlockId: block.previousBlock || null,
+	timestamp: block.timestamp,
+	numberOfTransactions: block.transactions.length,
+});
+
+const getTransactionsEventData = block => ({
+	blockId: block.id,
+	height: block.height,
+	transactionIds: block.transactions.map(transaction => transaction.id),
+});
+
+/**
+ * Persisted log of chain events.
+ * Events are written as part of the same database transaction which applies or reverts
+ * the block so the sequence numbers always match the state of the chain.
+ *
+ * @class
+ * @param {Object} storage
+ * @param {Object} logger
+ */
+class EventLog {
+	constructor({ storage, logger }) {
+		this.storage = storage;
+		this.logger = logger;
+	}
+
+	/**
+	 * Records the events of a block which was applied to the chain.
+	 *
+	 * @param {Object} block - Full block
+	 * @param {Object} [tx] - Database transaction object
+	 * @returns {Promise}
+	 */
+	async recordBlockApplied(block, tx) {
+		const events = [
+			{
+				type: EVENT_BLOCK_APPLIED,
+				block,
+				data: getBlockEventData(block),
+			},
+		];
+		if (block.transactions.length) {
+			events.push({
+				type: EVENT_TRANSACTIONS_CONFIRMED,
+				block,
+				data: getTransactionsEventData(block),
+			});
+		}
+		return this._insertEvents(events, tx);
+	}
+
+	/**
+	 * Records the events of a block which was deleted from the chain.
+	 * Events are recorded in the reverse order of recordBlockApplied.
+	 *
+	 * @param {Object} block - Full block
+	 * @param {Object} [tx] - Database transaction object
+	 * @returns {Promise}
+	 */
+	async recordBlockReverted(block, tx) {
+		const events = [];
+		if (block.transactions.length) {
+			events.push({
+				type: EVENT_TRANSACTIONS_REVERTED,
+				block,
+				data: getTransactionsEventData(block),
+			});
+		}
+		events.push({
+			type: EVENT_BLOCK_REVERTED,
+			block,
+			data: getBlockEventData(block),
+		});
+		return this._insertEvents(events, tx);
+	}
+
+	/**
+	 * Records the revert events of all the stored blocks above the given height, from the highest block down.
+	 * Used when blocks are deleted without being reverted one by one, the data of each event is copied from
+	 * the last time the block was applied.
+	 *
+	 * @param {number} height - Height of the block which becomes the last block
+	 * @param {Object} [tx] - Database transaction object
+	 * @returns {Promise}
+	 */
+	async recordBlocksRevertedAbove(height, tx) {
+		const db = tx || this.storage.adapter.db;
+		const rows = await db.query(
+			'select distinct on (chain_events."blockId", chain_events.type) chain_events.type, chain_events."blockId", chain_events.height, chain_events.data from chain_events inner join blocks on blocks.id = chain_events."blockId" where blocks.height > $1 and chain_events.type in ($2, $3) order by chain_events."blockId", chain_events.type, chain_events.sequence desc',
+			[height, EVENT_BLOCK_APPLIED, EVENT_TRANSACTIONS_CONFIRMED],
+		);
+		const revertTypes = {
+			[EVENT_BLOCK_APPLIED]: EVENT_BLOCK_REVERTED,
+			[EVENT_TRANSACTIONS_CONFIRMED]: EVENT_TRANSACTIONS_REVERTED,
+		};
+		const events = rows
+			// Same order as recordBlockReverted for each block
+			.sort(
+				(a, b) =>
+					b.height - a.height ||
+					(a.type === EVENT_TRANSACTIONS_CONFIRMED ? -1 : 1),
+			)
+			.map(row => ({
+				type: revertTypes[row.type],
+				block: { id: row.blockId, height: row.height },
+				data: row.data,
+			}));
+		return this._insertEvents(events, tx);
+	}
+
+	/**
+	 * Gets the events which were recorded after the given sequence number.
+	 *
+	 * @param {number} sequence - Last sequence number processed by the caller
+	 * @param {number} [limit] - Maximum number of events to return
+	 * @returns {Promise.<Object[]>}
+	 */
+	async getEventsSince(sequence, limit) {
+		if (limit == null) {
+			limit = DEFAULT_EVENTS_LIMIT;
+		}
+		limit = Math.min(limit, MAX_EVENTS_LIMIT);
+
+		const rows = await this.storage.adapter.db.query(
+			'select chain_events.sequence, chain_events.type, chain_events."blockId", chain_events.height, chain_events.data, chain_events."createdAt" from chain_events where chain_events.sequence > $1 order by chain_events.sequence asc limit $2',
+			[sequence || 0, limit],
+		);
+
+		return rows.map(row => ({
+			sequence: Number(row.sequence),
+			type: row.type,
+			blockId: row.blockId,
+			height: row.height,
+			data: row.data,
+			createdAt: row.createdAt,
+		}));
+	}
+
+	async _insertEvents(events, tx) {
+		const db = tx || this.storage.adapter.db;
+		// eslint-disable-next-line no-restricted-syntax
+		for (const event of events) {
+			// Inserting one by one keeps the sequence in the same order as the events
+			// eslint-disable-next-line no-await-in-loop
+			await db.query(
+				'insert into chain_events (type, "blockId", height, data) values ($1, $2, $3, $4)',
+				[event.type, event.block.id, event.block.height, event.data],
+			);
+		}
+	}
+}
+
+module.exports = {
+	EventLog,
+	EVENT_BLOCK_APPLIED,
+	EVENT_BLOCK_REVERTED,
+	EVENT_TRANSACTIONS_CONFIRMED,
+	EVENT_TRANSACTIONS_REVERTED,
+};
@@ -0,0 +1,31 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const {
+	EventLog,
+	EVENT_BLOCK_APPLIED,
+	EVENT_BLOCK_REVERTED,
+	EVENT_TRANSACTIONS_CONFIRMED,
+	EVENT_TRANSACTIONS_REVERTED,
+} = require('./event_log');
+
+module.exports = {
+	EventLog,
+	EVENT_BLOCK_APPLIED,
+	EVENT_BLOCK_REVERTED,
+	EVENT_TRANSACTIONS_CONFIRMED,
+	EVENT_TRANSACTIONS_REVERTED,
+};
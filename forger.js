@@ -375,6 +375,61 @@ class Forger {
 		);
 	}
 
+	/**
+	 * Gets the delegates assigned to the upcoming slots.
+	 * Every slot is mapped to the block it would hold if no slot is missed, and is forged by the
+	 * delegate at the slot index in the delegate list of the round of that block.
+	 * The delegate list of a round is only known once the previous round has been applied
+	 * (votes are updated when a round ends), so the schedule extends into the next round only when
+	 * the last block is the last block of its round, and stops at the first slot of an unknown round.
+	 *
+	 * @param {number} limit - Maximum number of slots to return
+	 * @returns {Object[]} Of slots with slot number, time, round and delegate
+	 */
+	async getForgingSchedule(limit) {
+		const { lastBlock } = this.blocksModule;
+		const currentSlot = this.slots.getSlotNumber();
+		const firstSlot =
+			currentSlot === this.slots.getSlotNumber(lastBlock.timestamp)
+				? currentSlot + 1
+				: currentSlot;
+		const slotCount = limit == null ? this.constants.activeDelegates : limit;
+
+		// The last round of which the delegate list is known is the round of the next block
+		const lastKnownRound = this.slots.calcRound(lastBlock.height + 1);
+		const delegateLists = {};
+		const schedule = [];
+
+		// eslint-disable-next-line no-plusplus
+		for (let i = 0; i < slotCount; i++) {
+			const slot = firstSlot + i;
+			const round = this.slots.calcRound(lastBlock.height + 1 + i);
+			if (round > lastKnownRound) {
+				break;
+			}
+			if (!delegateLists[round]) {
+				// eslint-disable-next-line no-await-in-loop
+				delegateLists[round] = await this.roundsModule.generateDelegateList(
+					round,
+				);
+			}
+			const slotTime = this.slots.getSlotTime(slot);
+			const delegatePublicKey =
+				delegateLists[round][slot % this.constants.activeDelegates];
+
+			schedule.push({
+				slot,
+				slotTime,
+				time: this.slots.getRealTime(slotTime),
+				round,
+				delegatePublicKey,
+				delegateAddress: getAddressFromPublicKey(delegatePublicKey),
+			});
+		}
+
+		return schedule;
+	}
+
 	/**
 	 * Get an object of key pairs for delegates enabled for forging.
 	 *
@@ -17,18 +17,7 @@
 const { config: DefaultConfig } = require('./defaults');
 const Chain = require('./chain');
 const { migrations } = require('./migrations');
-const {
-	TransferTransaction,
-	SecondSignatureTransaction,
-	DelegateTransaction,
-	VoteTransaction,
-	MultisignatureTransaction
-} = require('@liskhq/lisk-transactions');
-const {
-	DappTransaction,
-	InTransferTransaction,
-	OutTransferTransaction
-} = require('./extra_transactions');
+const { registeredTransactions } = require('./transactions/registered_transactions');
 
 const BaseModule = require('leasehold-lisk-framework/src/modules/base_module');
 const DEFAULT_MODULE_ALIAS = 'leasehold_chain';
@@ -83,7 +72,11 @@ module.exports = class LeaseholdChainModule extends BaseModule {
 		return [
 			'bootstrap',
 			'blocks:change',
+			'blocks:finalized',
+			'blocks:finalized:retracted',
 			'transactions:confirmed:change',
+			'transactions:finalized',
+			'transactions:finalized:retracted',
 			'signature:change',
 			'transactions:change',
 			'rounds:change',
@@ -116,6 +109,9 @@ module.exports = class LeaseholdChainModule extends BaseModule {
 				handler: async () =>
 					this.chain.actions.getForgingStatusForAllDelegates(),
 			},
+			getForgingSchedule: {
+				handler: async action => this.chain.actions.getForgingSchedule(action),
+			},
 			getTransactionsFromPool: {
 				handler: async action =>
 					this.chain.actions.getTransactionsFromPool(action),
@@ -127,6 +123,9 @@ module.exports = class LeaseholdChainModule extends BaseModule {
 			postTransaction: {
 				handler: async action => this.chain.actions.postTransaction(action),
 			},
+			postSignature: {
+				handler: async action => this.chain.actions.postSignature(action),
+			},
 			getDelegateBlocksRewards: {
 				handler: async action =>
 					this.chain.actions.getDelegateBlocksRewards(action),
@@ -151,12 +150,41 @@ module.exports = class LeaseholdChainModule extends BaseModule {
 				handler: async action => this.chain.actions.blocksCommon(action),
 				isPublic: true,
 			},
+			blockHeaders: {
+				handler: async action => this.chain.actions.blockHeaders(action),
+				isPublic: true,
+			},
 			getMultisigWalletMembers: {
 				handler: async action => this.chain.actions.getMultisigWalletMembers(action),
 			},
 			getMinMultisigRequiredSignatures: {
 				handler: async action => this.chain.actions.getMinMultisigRequiredSignatures(action),
 			},
+			getAccount: {
+				handler: async action => this.chain.actions.getAccount(action),
+			},
+			getAccounts: {
+				handler: async action => this.chain.actions.getAccounts(action),
+			},
+			getTransaction: {
+				handler: async action => this.chain.actions.getTransaction(action),
+				isPublic: true,
+			},
+			getBalanceAtHeight: {
+				handler: async action => this.chain.actions.getBalanceAtHeight(action),
+			},
+			getDelegates: {
+				handler: async action => this.chain.actions.getDelegates(action),
+			},
+			getVoters: {
+				handler: async action => this.chain.actions.getVoters(action),
+			},
+			getVotes: {
+				handler: async action => this.chain.actions.getVotes(action),
+			},
+			getPendingMultisigTransactions: {
+				handler: async action => this.chain.actions.getPendingMultisigTransactions(action),
+			},
 			getInboundTransactions: {
 				handler: async action => this.chain.actions.getInboundTransactions(action),
 			},
@@ -169,6 +197,9 @@ module.exports = class LeaseholdChainModule extends BaseModule {
 			getOutboundTransactionsFromBlock: {
 				handler: async action => this.chain.actions.getOutboundTransactionsFromBlock(action),
 			},
+			getEventsSince: {
+				handler: async action => this.chain.actions.getEventsSince(action),
+			},
 			getLastBlockAtTimestamp: {
 				handler: async action => this.chain.actions.getLastBlockAtTimestamp(action),
 			},
@@ -178,6 +209,30 @@ module.exports = class LeaseholdChainModule extends BaseModule {
 			getBlocksBetweenHeights: {
 				handler: async action => this.chain.actions.getBlocksBetweenHeights(action),
 			},
+			getBlock: {
+				handler: async action => this.chain.actions.getBlock(action),
+			},
+			getBlocksWithTransactions: {
+				handler: async action => this.chain.actions.getBlocksWithTransactions(action),
+			},
+			getBlockHeaders: {
+				handler: async action => this.chain.actions.getBlockHeaders(action),
+				isPublic: true,
+			},
+			getPeerReputation: {
+				handler: async action => this.chain.actions.getPeerReputation(action),
+			},
+			getStateRoot: {
+				handler: async action => this.chain.actions.getStateRoot(action),
+				isPublic: true,
+			},
+			exportSnapshot: {
+				handler: async action => this.chain.actions.exportSnapshot(action),
+			},
+			getTransactionInclusionProof: {
+				handler: async action => this.chain.actions.getTransactionInclusionProof(action),
+				isPublic: true,
+			},
 			getBlockAtHeight: {
 				handler: async action => this.chain.actions.getBlockAtHeight(action),
 			},
@@ -189,16 +244,7 @@ module.exports = class LeaseholdChainModule extends BaseModule {
 
 	async load(channel, options) {
 		this.options = options;
-		this.options.registeredTransactions = {
-			'0': Object.freeze(TransferTransaction),
-			'1': Object.freeze(SecondSignatureTransaction),
-			'2': Object.freeze(DelegateTransaction),
-			'3': Object.freeze(VoteTransaction),
-			'4': Object.freeze(MultisignatureTransaction),
-			'5': Object.freeze(DappTransaction),
-			'6': Object.freeze(InTransferTransaction),
-			'7': Object.freeze(OutTransferTransaction)
-		};
+		this.options.registeredTransactions = registeredTransactions;
 		this.chain = new Chain(channel, this.options, this.alias, this.logger, {
 			[this.alias]: migrations
 		});
@@ -15,11 +15,33 @@
 'use strict';
 
 const async = require('async');
+const _ = require('lodash');
 const { Status: TransactionStatus } = require('@liskhq/lisk-transactions');
 const { validator } = require('@liskhq/lisk-validator');
 const { validateTransactions } = require('./transactions');
-const { CommonBlockError } = require('./utils/error_handlers');
+const {
+	CommonBlockError,
+	BlockVerificationError,
+	ForkRestoreError,
+} = require('./utils/error_handlers');
+const {
+	OFFENCE_INVALID_SCHEMA,
+	OFFENCE_INVALID_BLOCK,
+	OFFENCE_INVALID_TRANSACTION,
+	OFFENCE_UNRESPONSIVE,
+} = require('./peer_reputation');
 const definitions = require('./schema/definitions');
+const blocksUtils = require('./blocks/utils');
+const { verifyHeaderChain } = require('./blocks/header_chain');
+
+// Peers return fewer blocks per response if the blocks do not fit their byte budget
+const BLOCKS_PER_RANGE = 100;
+const HEADERS_PER_REQUEST = 10 * BLOCKS_PER_RANGE;
+// Peers running an older version of this module reject the procedures they do not know
+const UNSUPPORTED_PROCEDURE_PATTERN = /(unknown|unsupported|not (registered|found|supported)).*(procedure|action)|(procedure|action).*(unknown|unsupported|not (registered|found|supported))/i;
+
+const isUnsupportedProcedureError = error =>
+	!!error && UNSUPPORTED_PROCEDURE_PATTERN.test(error.message);
 
 /**
  * Main loader methods. Initializes this with scope content.
@@ -49,14 +71,19 @@ class Loader {
 		blocksModule,
 		peersModule,
 		interfaceAdapters,
+		peerReputation,
 		// Constants
 		loadPerIteration,
 		rebuildUpToRound,
 		syncingActive,
+		maxForkDepth,
+		downloadPeers,
+		activeDelegates,
 	}) {
 		this.isActive = false;
 		this.total = 0;
 		this.blocksToSync = 0;
+		this.syncProgress = null;
 		this.retries = 5;
 
 		this.moduleAlias = moduleAlias;
@@ -71,12 +98,16 @@ class Loader {
 			loadPerIteration,
 			rebuildUpToRound,
 			syncingActive,
+			maxForkDepth,
+			downloadPeers,
+			activeDelegates,
 		};
 
 		this.transactionPoolModule = transactionPoolModule;
 		this.blocksModule = blocksModule;
 		this.peersModule = peersModule;
 		this.interfaceAdapters = interfaceAdapters;
+		this.peerReputation = peerReputation;
 	}
 
 	/**
@@ -88,6 +119,39 @@ class Loader {
 		return !!this.isActive;
 	}
 
+	/**
+	 * Returns the progress of the running sync.
+	 *
+	 * @returns {Object|null} currentHeight, targetHeight, blocksPerSecond and estimatedSecondsRemaining,
+	 * null if the node is not syncing
+	 */
+	getSyncProgress() {
+		if (!this.syncProgress) {
+			return null;
+		}
+		const { startHeight, startTime, targetHeight } = this.syncProgress;
+		const currentHeight = this.blocksModule.lastBlock.height;
+		const elapsedSeconds = (Date.now() - startTime) / 1000;
+		const blocksPerSecond =
+			elapsedSeconds > 0
+				? Math.round(((currentHeight - startHeight) / elapsedSeconds) * 100) /
+				  100
+				: 0;
+		const remainingBlocks = Math.max(targetHeight - currentHeight, 0);
+		let estimatedSecondsRemaining = null;
+		if (!remainingBlocks) {
+			estimatedSecondsRemaining = 0;
+		} else if (blocksPerSecond > 0) {
+			estimatedSecondsRemaining = Math.ceil(remainingBlocks / blocksPerSecond);
+		}
+		return {
+			currentHeight,
+			targetHeight: Math.max(targetHeight, currentHeight),
+			blocksPerSecond,
+			estimatedSecondsRemaining,
+		};
+	}
+
 	/**
 	 * Pulls Transactions.
 	 */
@@ -128,31 +192,52 @@ class Loader {
 		}
 
 		this.isActive = true;
+		this.syncProgress = {
+			startHeight: this.blocksModule.lastBlock.height,
+			startTime: Date.now(),
+			targetHeight: this.blocksModule.lastBlock.height,
+		};
+		try {
+			try {
+				this._updateTargetHeight(await this._getChainPeers());
+			} catch (error) {
+				this.logger.debug(
+					{ error: error.message },
+					'Failed to get the height of the network before sync',
+				);
+			}
+			this._publishSyncProgress('start');
 
-		const consensusBefore = await this.peersModule.calculateConsensus(
-			this.blocksModule.broadhash,
-		);
-
-		this.logger.debug(
-			`Establishing broadhash consensus before sync: ${consensusBefore} %`,
-		);
+			const consensusBefore = await this.peersModule.calculateConsensus(
+				this.blocksModule.broadhash,
+			);
 
-		await this._loadBlocksFromNetwork();
+			this.logger.debug(
+				`Establishing broadhash consensus before sync: ${consensusBefore} %`,
+			);
 
-		const consensusAfter = await this.peersModule.calculateConsensus(
-			this.blocksModule.broadhash,
-		);
+			await this._loadBlocksFromNetwork();
 
-		this.logger.debug(
-			`Establishing broadhash consensus after sync: ${consensusAfter} %`,
-		);
-		this.isActive = false;
-		this.blocksToSync = 0;
+			const consensusAfter = await this.peersModule.calculateConsensus(
+				this.blocksModule.broadhash,
+			);
 
-		this.logger.info('Finished sync');
+			this.logger.debug(
+				`Establishing broadhash consensus after sync: ${consensusAfter} %`,
+			);
+			this._publishSyncProgress('finish');
+			this.logger.info('Finished sync');
+		} catch (error) {
+			this._publishSyncProgress('failed', { error: error.message });
+			throw error;
+		} finally {
+			this.syncProgress = null;
+			this.isActive = false;
+			this.blocksToSync = 0;
 
-		if (this.cache.ready) {
-			this.cache.enable();
+			if (this.cache.ready) {
+				this.cache.enable();
+			}
 		}
 	}
 
@@ -168,15 +253,20 @@ class Loader {
 	async _getUnconfirmedTransactionsFromNetwork() {
 		this.logger.info('Loading transactions from the network');
 
-		const { data: result } = await this.channel.invoke('network:request', {
-			procedure: `${this.moduleAlias}:getTransactions`,
-		});
+		const { data: result, peerId } = await this._requestFromNetwork(
+			'getTransactions',
+		);
 
 		const validatorErrors = validator.validate(
 			definitions.WSTransactionsResponse,
 			result,
 		);
 		if (validatorErrors.length) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_SCHEMA,
+				'Invalid getTransactions response',
+			);
 			throw validatorErrors;
 		}
 
@@ -201,6 +291,11 @@ class Loader {
 				err: error.toString(),
 				module: 'loader',
 			});
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_TRANSACTION,
+				error.toString(),
+			);
 			throw error;
 		}
 
@@ -223,24 +318,82 @@ class Loader {
 		}
 	}
 
+	/**
+	 * Sends a request to a random peer or to a specific peer.
+	 * The network module does not tell which peer failed a random request, so the random peer
+	 * is picked here among the peers which run this module.
+	 *
+	 * @private
+	 * @param {string} procedure - Procedure of this module
+	 * @param {Object} data
+	 * @param {string} [peerId] - Peer to send the request to
+	 * @returns {Promise.<Object>} Response with data and peerId
+	 */
+	async _requestFromNetwork(procedure, data, peerId) {
+		const targetPeerId = peerId || (await this._getRandomChainPeerId());
+		if (!targetPeerId) {
+			const { data: responseData, peerId: responsePeerId } = await this.channel.invoke(
+				'network:request',
+				{
+					procedure: `${this.moduleAlias}:${procedure}`,
+					data,
+				},
+			);
+			return { data: responseData, peerId: responsePeerId };
+		}
+		let response;
+		try {
+			response = await this.channel.invoke('network:requestFromPeer', {
+				procedure: `${this.moduleAlias}:${procedure}`,
+				data,
+				peerId: targetPeerId,
+			});
+		} catch (error) {
+			if (!isUnsupportedProcedureError(error)) {
+				this.peerReputation.recordOffence(
+					targetPeerId,
+					OFFENCE_UNRESPONSIVE,
+					error.message,
+				);
+			}
+			throw error;
+		}
+		return {
+			data: response.data,
+			peerId: targetPeerId,
+		};
+	}
+
+	async _getRandomChainPeerId() {
+		const chainPeers = await this._getChainPeers();
+		return chainPeers.length ? _.sample(chainPeers).peerId : null;
+	}
+
 	/**
 	 * Loads blocks from network.
 	 *
 	 * @private
-	 * @returns {Promise} void
+	 * @param {string} [targetPeerId] - Peer to load the blocks from, a random peer by default
+	 * @returns {Promise.<Object>} blocks and the peerId of the peer which sent them
 	 * @todo Add description for the params
 	 */
-	async _getBlocksFromNetwork() {
+	async _getBlocksFromNetwork(targetPeerId) {
 		const { lastBlock } = this.blocksModule;
-		// TODO: If there is an error, invoke the applyPenalty action on the Network module once it is implemented.
-		const { data } = await this.channel.invoke('network:request', {
-			procedure: `${this.moduleAlias}:blocks`,
-			data: {
+		const { data, peerId } = await this._requestFromNetwork(
+			'blocks',
+			{
 				lastBlockId: lastBlock.id,
+				toHeight: lastBlock.height + BLOCKS_PER_RANGE,
 			},
-		});
+			targetPeerId,
+		);
 
 		if (!data) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_UNRESPONSIVE,
+				'Empty blocks response',
+			);
 			throw new Error('Received an invalid blocks response from the network');
 		}
 		// Check for strict equality for backwards compatibility reasons.
@@ -250,9 +403,10 @@ class Loader {
 			throw new CommonBlockError(
 				'Peer did not have a matching lastBlockId.',
 				lastBlock.id,
+				peerId,
 			);
 		}
-		return data.blocks;
+		return { blocks: data.blocks, peerId };
 	}
 
 	/**
@@ -262,14 +416,37 @@ class Loader {
 	 * @returns {Promise} void
 	 * @todo Add description for the params
 	 */
-	// eslint-disable-next-line class-methods-use-this
-	async _validateBlocks(blocks) {
+	async _validateBlocks(blocks, peerId) {
 		const errors = validator.validate(definitions.WSBlocksList, blocks);
 
 		if (errors.length) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_SCHEMA,
+				'Invalid blocks response',
+			);
 			throw new Error('Received invalid blocks data');
 		}
 
+		const conflictingRow = blocks.find(row =>
+			this.blocksModule.isConflictingWithCheckpoint({
+				id: row.b_id,
+				height: parseInt(row.b_height, 10),
+			}),
+		);
+		if (conflictingRow) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_BLOCK,
+				`Block ${conflictingRow.b_id} contradicts a checkpoint`,
+			);
+			throw new Error(
+				`Refused blocks from peer, block ${conflictingRow.b_id} at height ${
+					conflictingRow.b_height
+				} contradicts a checkpoint`,
+			);
+		}
+
 		return blocks;
 	}
 
@@ -280,12 +457,23 @@ class Loader {
 	 * @returns {Promise} void
 	 * @todo Add description for the params
 	 */
-	async _getValidatedBlocksFromNetwork(blocks) {
+	async _getValidatedBlocksFromNetwork(blocks, peerId) {
 		const { lastBlock } = this.blocksModule;
-		const lastValidBlock = await this.blocksModule.loadBlocksFromNetwork(
-			blocks,
-		);
+		let lastValidBlock;
+		try {
+			lastValidBlock = await this.blocksModule.loadBlocksFromNetwork(blocks);
+		} catch (error) {
+			if (error instanceof BlockVerificationError) {
+				this.peerReputation.recordOffence(
+					peerId,
+					OFFENCE_INVALID_BLOCK,
+					error.message,
+				);
+			}
+			throw error;
+		}
 		this.blocksToSync = lastValidBlock.height;
+		this._publishSyncProgress('progress');
 		return lastValidBlock.id === lastBlock.id;
 	}
 
@@ -304,13 +492,13 @@ class Loader {
 		while (!loaded && failedAttemptsToLoad < 5) {
 			try {
 				// eslint-disable-next-line no-await-in-loop
-				const blocksFromNetwork = await this._getBlocksFromNetwork();
-				// eslint-disable-next-line no-await-in-loop
-				const blocksAfterValidate = await this._validateBlocks(
-					blocksFromNetwork,
-				);
+				const chainPeers = await this._getChainPeers();
+				this._updateTargetHeight(chainPeers);
+				const syncPeers = this._selectSyncPeers(chainPeers);
 				// eslint-disable-next-line no-await-in-loop
-				loaded = await this._getValidatedBlocksFromNetwork(blocksAfterValidate);
+				loaded = syncPeers.length
+					? await this._loadBlocksFromPeers(syncPeers)
+					: await this._loadBlocksFromRandomPeer();
 				// Reset counter after a batch of blocks was successfully loaded from the network
 				failedAttemptsToLoad = 0;
 			} catch (err) {
@@ -325,21 +513,628 @@ class Loader {
 		}
 	}
 
+	/**
+	 * Loads one batch of blocks from a random peer.
+	 *
+	 * @private
+	 * @returns {Promise.<boolean>} True if the peer did not have any new block
+	 */
+	async _loadBlocksFromRandomPeer() {
+		const { blocks, peerId } = await this._getBlocksFromNetwork();
+		const blocksAfterValidate = await this._validateBlocks(blocks, peerId);
+		return this._getValidatedBlocksFromNetwork(blocksAfterValidate, peerId);
+	}
+
+	/**
+	 * Returns the connected peers which run this module.
+	 *
+	 * @private
+	 * @returns {Promise.<Array.<Object>>} Peers with peerId and the height from their module state
+	 */
+	async _getChainPeers() {
+		const connectedPeers = await this.channel.invoke(
+			'network:getConnectedPeers',
+			{},
+		);
+		return connectedPeers
+			.filter(peer => peer.modules && peer.modules[this.moduleAlias])
+			.map(peer => ({
+				peerId: `${peer.ipAddress}:${peer.wsPort}`,
+				height: peer.modules[this.moduleAlias].height || 0,
+			}));
+	}
+
+	/**
+	 * Returns the peers which announced a height above our own, in random order.
+	 *
+	 * @private
+	 * @param {Array.<Object>} chainPeers
+	 * @returns {Array.<Object>} Peers with peerId and height
+	 */
+	_selectSyncPeers(chainPeers) {
+		const { height } = this.blocksModule.lastBlock;
+		const syncPeers = chainPeers.filter(peer => peer.height > height);
+		return _.shuffle(syncPeers).slice(0, this.constants.downloadPeers);
+	}
+
+	/**
+	 * Sets the target height of the sync to the highest height which a majority of the peers
+	 * have reached, so that a single peer can not announce an arbitrary height.
+	 *
+	 * @private
+	 * @param {Array.<Object>} chainPeers
+	 */
+	_updateTargetHeight(chainPeers) {
+		if (!this.syncProgress) {
+			return;
+		}
+		const { height } = this.blocksModule.lastBlock;
+		if (!chainPeers.length) {
+			this.syncProgress.targetHeight = height;
+			return;
+		}
+		const peerHeights = chainPeers
+			.map(peer => peer.height)
+			.sort((a, b) => b - a);
+		const majorityHeight = peerHeights[Math.floor(peerHeights.length / 2)];
+		this.syncProgress.targetHeight = Math.max(height, majorityHeight);
+	}
+
+	/**
+	 * Publishes the loader:sync event.
+	 *
+	 * @private
+	 * @param {string} status - start, progress, finish or failed
+	 * @param {Object} [details] - Extra fields of the event, such as the error of a failed sync
+	 */
+	_publishSyncProgress(status, details = {}) {
+		const syncProgress = this.getSyncProgress();
+		if (!syncProgress) {
+			return;
+		}
+		this.channel.publish(`${this.moduleAlias}:loader:sync`, {
+			status,
+			...syncProgress,
+			...details,
+		});
+	}
+
+	/**
+	 * Loads blocks from several peers at once:
+	 * - Requests the headers above our last block from one of the peers, the anchor peer.
+	 * - Splits the headers into ranges which are downloaded from the peers in parallel.
+	 * - Applies the ranges in order while the next ranges are being downloaded.
+	 * A range which does not match the headers is downloaded again from the anchor peer.
+	 * If the anchor peer does not provide the headers, for example because it runs an older
+	 * version of this module, one batch of blocks is loaded from a random peer instead.
+	 *
+	 * @private
+	 * @param {Array.<Object>} syncPeers
+	 * @returns {Promise.<boolean>} True if the anchor peer did not have any new block
+	 */
+	async _loadBlocksFromPeers(syncPeers) {
+		const { lastBlock } = this.blocksModule;
+		const anchorPeerId = syncPeers[0].peerId;
+		let headers;
+		try {
+			headers = await this._getHeadersFromPeer(anchorPeerId, lastBlock);
+		} catch (error) {
+			if (error instanceof CommonBlockError) {
+				throw error;
+			}
+			this.logger.debug(
+				{ error, peerId: anchorPeerId },
+				'Failed to get block headers, loading blocks from a single peer',
+			);
+			return this._loadBlocksFromRandomPeer();
+		}
+		if (!headers.length) {
+			return true;
+		}
+
+		const ranges = [];
+		for (let i = 0; i < headers.length; i += BLOCKS_PER_RANGE) {
+			ranges.push({
+				lastBlockId: i === 0 ? lastBlock.id : headers[i - 1].id,
+				headers: headers.slice(i, i + BLOCKS_PER_RANGE),
+				anchorPeerId,
+			});
+		}
+
+		const downloads = [];
+		const startDownload = index => {
+			if (index < ranges.length) {
+				downloads[index] = this._downloadRange(
+					ranges[index],
+					syncPeers[index % syncPeers.length].peerId,
+				);
+			}
+		};
+		for (let i = 0; i < syncPeers.length; i += 1) {
+			startDownload(i);
+		}
+
+		for (let i = 0; i < ranges.length; i += 1) {
+			// eslint-disable-next-line no-await-in-loop
+			const { blocks, peerId, error } = await downloads[i];
+			if (error) {
+				throw error;
+			}
+			startDownload(i + syncPeers.length);
+			// eslint-disable-next-line no-await-in-loop
+			const loaded = await this._getValidatedBlocksFromNetwork(
+				blocks,
+				peerId,
+			);
+			if (loaded) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * @private
+	 * @param {string} peerId
+	 * @param {Object} lastBlock
+	 * @returns {Promise.<Array.<Object>>} Headers above the last block, in ascending height order
+	 */
+	async _getHeadersFromPeer(peerId, lastBlock) {
+		const { data } = await this._requestFromNetwork(
+			'blockHeaders',
+			{
+				fromHeight: lastBlock.height + 1,
+				toHeight: lastBlock.height + HEADERS_PER_REQUEST,
+			},
+			peerId,
+		);
+		if (!data || !Array.isArray(data.headers)) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_SCHEMA,
+				'Invalid blockHeaders response',
+			);
+			throw new Error('Received an invalid block headers response');
+		}
+		const { headers } = data;
+		if (headers.length && headers[0].previousBlockId !== lastBlock.id) {
+			throw new CommonBlockError(
+				'Peer did not have a matching lastBlockId.',
+				lastBlock.id,
+				peerId,
+			);
+		}
+		if (!this._isChainOfBlocks(headers, lastBlock)) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_BLOCK,
+				'Block headers do not form a chain',
+			);
+			throw new Error(`Block headers of peer ${peerId} do not form a chain`);
+		}
+		return headers;
+	}
+
+	/**
+	 * Downloads a range of blocks, falling back to the anchor peer if the peer does not
+	 * provide the blocks announced by the headers.
+	 * Never rejects so that ranges which are not awaited anymore do not cause unhandled rejections.
+	 *
+	 * @private
+	 * @param {Object} range - lastBlockId, headers and anchorPeerId of the range
+	 * @param {string} peerId
+	 * @returns {Promise.<Object>} blocks and peerId, or error
+	 */
+	async _downloadRange(range, peerId) {
+		if (peerId !== range.anchorPeerId) {
+			try {
+				return await this._requestRange(range, peerId);
+			} catch (error) {
+				this.logger.debug(
+					{ error: error.message, peerId, lastBlockId: range.lastBlockId },
+					'Failed to download blocks from peer, retrying with the anchor peer',
+				);
+			}
+		}
+		try {
+			return await this._requestRange(range, range.anchorPeerId);
+		} catch (error) {
+			return { error };
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Object} range
+	 * @param {string} peerId
+	 * @returns {Promise.<Object>} Rows of the blocks of the range and peerId
+	 */
+	async _requestRange(range, peerId) {
+		const toHeight = range.headers[range.headers.length - 1].height;
+		let rows = [];
+		let lastBlockId = range.lastBlockId;
+		let height = range.headers[0].height - 1;
+		// The range is requested again from the last received block until it is complete
+		while (height < toHeight) {
+			// eslint-disable-next-line no-await-in-loop
+			const { data } = await this._requestFromNetwork(
+				'blocks',
+				{ lastBlockId, toHeight },
+				peerId,
+			);
+			if (!data || data.success === false || data.sucess === false) {
+				throw new Error(
+					`Peer ${peerId} did not provide blocks after ${lastBlockId}`,
+				);
+			}
+			// eslint-disable-next-line no-await-in-loop
+			const responseRows = (await this._validateBlocks(
+				data.blocks,
+				peerId,
+			)).filter(row => parseInt(row.b_height, 10) <= toHeight);
+			const lastRow = responseRows[responseRows.length - 1];
+			if (!lastRow || parseInt(lastRow.b_height, 10) <= height) {
+				break;
+			}
+			rows = rows.concat(responseRows);
+			lastBlockId = data.nextLastBlockId || lastRow.b_id;
+			height = parseInt(lastRow.b_height, 10);
+		}
+
+		const blockHeaders = [];
+		rows.forEach(row => {
+			if (
+				!blockHeaders.length ||
+				blockHeaders[blockHeaders.length - 1].id !== row.b_id
+			) {
+				blockHeaders.push({
+					id: row.b_id,
+					height: parseInt(row.b_height, 10),
+					previousBlockId: row.b_previousBlock,
+				});
+			}
+		});
+		const isChain = this._isChainOfBlocks(blockHeaders, {
+			id: range.lastBlockId,
+			height: range.headers[0].height - 1,
+		});
+		const isMatchingHeaders =
+			blockHeaders.length === range.headers.length &&
+			blockHeaders.every(({ id }, i) => id === range.headers[i].id);
+
+		if (!isChain || (!isMatchingHeaders && peerId === range.anchorPeerId)) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_BLOCK,
+				'Inconsistent chain in blocks response',
+			);
+			throw new Error(`Peer ${peerId} returned an inconsistent chain`);
+		}
+		if (!isMatchingHeaders) {
+			// The peer might simply be on another fork, so it is not penalized
+			throw new Error(
+				`Blocks of peer ${peerId} do not match the headers of the anchor peer`,
+			);
+		}
+		return { blocks: rows, peerId };
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	_isChainOfBlocks(headers, previousBlock) {
+		return headers.every((header, i) => {
+			const previous = i === 0 ? previousBlock : headers[i - 1];
+			return (
+				header.previousBlockId === previous.id &&
+				header.height === previous.height + 1
+			);
+		});
+	}
+
 	async _handleCommonBlockError(error) {
 		if (!(error instanceof CommonBlockError)) {
 			return;
 		}
-		if (this.peersModule.isPoorConsensus(this.blocksModule.broadhash)) {
-			this.logger.debug('Perform chain recovery due to poor consensus');
+		if (!(await this.peersModule.isPoorConsensus(this.blocksModule.broadhash))) {
+			return;
+		}
+		this.logger.debug('Perform fork resolution due to poor consensus');
+		try {
+			await this._resolveFork(error.peerId);
+		} catch (recoveryError) {
+			this.logger.error(
+				{ error: recoveryError },
+				'Fork resolution failed after failing to load blocks while network consensus was low.',
+			);
+			// Stop the sync, the chain is not in the state it was before the fork resolution
+			if (recoveryError instanceof ForkRestoreError) {
+				throw recoveryError;
+			}
+		}
+	}
+
+	/**
+	 * Switches to the chain of a peer which does not have our last block:
+	 * - Finds the highest block which both chains have in common.
+	 * - Deletes our blocks above the common block.
+	 * - Loads the blocks of the peer on top of the common block.
+	 * - Restores our own blocks if the chain of the peer is invalid or shorter than ours.
+	 *
+	 * @private
+	 * @param {string} peerId
+	 * @returns {Promise} void
+	 */
+	async _resolveFork(peerId) {
+		if (!peerId) {
+			throw new Error('Unable to resolve fork without the id of the forked peer');
+		}
+		const originalLastBlock = this.blocksModule.lastBlock;
+		const commonBlock = await this._getCommonBlock(peerId);
+		const depth = originalLastBlock.height - commonBlock.height;
+
+		if (depth > this.constants.maxForkDepth) {
+			throw new Error(
+				`Common block ${commonBlock.id} with peer ${peerId} is ${depth} blocks deep which exceeds the maximum fork depth of ${
+					this.constants.maxForkDepth
+				}`,
+			);
+		}
+		if (commonBlock.height < this.blocksModule.finalizedHeight) {
+			throw new Error(
+				`Common block ${commonBlock.id} with peer ${peerId} is below the finalized height ${
+					this.blocksModule.finalizedHeight
+				}`,
+			);
+		}
+
+		// The peer must prove a longer chain with signed headers before any own block is reverted
+		await this._verifyLongerChainOfPeer(peerId, commonBlock, depth);
+
+		const ownBlocks = await this._loadOwnBlocksAbove(commonBlock, depth);
+
+		this.logger.info(
+			{ peerId, commonBlock, depth },
+			'Reverting to the common block to switch to the chain of the peer',
+		);
+		// The finalized height must not pass the common block until the chain of the peer is accepted,
+		// otherwise the own blocks could not be restored anymore
+		this.blocksModule.holdFinality();
+		try {
+			await this.blocksModule.revertToBlock(commonBlock);
 			try {
-				// eslint-disable-next-line no-await-in-loop
-				await this.blocksModule.recoverChain();
-			} catch (recoveryError) {
-				this.logger.error(
-					{ error: recoveryError },
-					'Chain recovery failed after failing to load blocks while network consensus was low.',
+				await this._loadBlocksFromPeer(peerId, originalLastBlock.height);
+				if (this.blocksModule.lastBlock.height <= originalLastBlock.height) {
+					throw new Error(
+						`Chain of peer ${peerId} ends at height ${
+							this.blocksModule.lastBlock.height
+						} which is not above the height ${
+							originalLastBlock.height
+						} of the own chain`,
+					);
+				}
+			} catch (error) {
+				this.logger.warn(
+					{ error, peerId },
+					'Failed to switch to the chain of the peer, restoring own blocks',
 				);
+				try {
+					await this._restoreOwnBlocks(commonBlock, ownBlocks);
+				} catch (restoreError) {
+					this.logger.error(
+						{ error: restoreError, commonBlock },
+						'Failed to restore own blocks after a failed fork switch',
+					);
+					throw new ForkRestoreError(
+						`Failed to restore own blocks above the common block ${
+							commonBlock.id
+						} after a failed fork switch: ${restoreError.message}`,
+						error,
+						restoreError,
+					);
+				}
+				throw error;
 			}
+		} finally {
+			await this.blocksModule.releaseFinality();
+		}
+		this.logger.info(
+			{
+				peerId,
+				commonBlock,
+				lastBlockId: this.blocksModule.lastBlock.id,
+				height: this.blocksModule.lastBlock.height,
+			},
+			'Switched to the chain of the peer',
+		);
+	}
+
+	/**
+	 * Checks that the peer has more blocks above the common block than we do, with valid ids and signatures,
+	 * which build on each other and which were forged by the delegates who own their slots.
+	 * The delegate lists come from our own chain and never from the peer, so a fork of which the delegate
+	 * list differs from ours can not be proven and is rejected.
+	 *
+	 * @private
+	 * @param {string} peerId
+	 * @param {Object} commonBlock
+	 * @param {number} depth - Number of own blocks above the common block
+	 * @returns {Promise} void
+	 */
+	async _verifyLongerChainOfPeer(peerId, commonBlock, depth) {
+		const headers = (await this._getHeadersFromPeer(peerId, commonBlock)).slice(
+			0,
+			depth + 1,
+		);
+		if (headers.length <= depth) {
+			throw new Error(
+				`Peer ${peerId} does not have a longer chain above the common block ${
+					commonBlock.id
+				}`,
+			);
+		}
+		const { slots } = this.blocksModule;
+		const delegateLists = await this.blocksModule.getDelegateLists(
+			slots.calcRound(headers[0].height),
+			slots.calcRound(headers[headers.length - 1].height),
+		);
+		const { verified, errors, lastVerifiedHeader } = verifyHeaderChain(
+			headers,
+			{
+				trustedHeader: commonBlock,
+				slots,
+				activeDelegates: this.constants.activeDelegates,
+				delegateLists,
+			},
+		);
+		if (!verified) {
+			const [error] = errors;
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_BLOCK,
+				error.message,
+			);
+			throw new Error(
+				`Peer ${peerId} sent an invalid block header above block ${
+					lastVerifiedHeader.id
+				}: ${error.message}`,
+			);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {Object} commonBlock
+	 * @param {Array} ownBlocks - Rows of the own blocks above the common block
+	 * @returns {Promise} void
+	 */
+	async _restoreOwnBlocks(commonBlock, ownBlocks) {
+		await this.blocksModule.revertToBlock(commonBlock);
+		await this.blocksModule.loadBlocksFromNetwork(ownBlocks);
+	}
+
+	/**
+	 * Finds the highest block of our chain which the peer also has.
+	 * The id sequence only contains the first block of the last rounds, so the round above the
+	 * common block of the sequence is searched again for a higher common block.
+	 *
+	 * @private
+	 * @param {string} peerId
+	 * @returns {Promise.<Object>} Common block with id and height
+	 */
+	async _getCommonBlock(peerId) {
+		const { lastBlock } = this.blocksModule;
+		const { ids } = await blocksUtils.getIdSequence(
+			this.storage,
+			lastBlock.height,
+			lastBlock,
+			this.genesisBlock,
+			this.constants.activeDelegates,
+		);
+		let commonBlock = await this._requestCommonBlock(peerId, ids.split(','));
+		if (!commonBlock) {
+			throw new Error(`Peer ${peerId} does not have any block in common`);
+		}
+
+		const roundAboveRows = await this.storage.entities.Block.get(
+			{
+				height_gt: commonBlock.height,
+				height_lte: Math.min(
+					commonBlock.height + this.constants.activeDelegates,
+					lastBlock.height,
+				),
+			},
+			{ limit: this.constants.activeDelegates, sort: 'height:desc' },
+		);
+		if (roundAboveRows.length) {
+			const higherCommonBlock = await this._requestCommonBlock(
+				peerId,
+				roundAboveRows.map(row => row.id),
+			);
+			if (higherCommonBlock) {
+				commonBlock = higherCommonBlock;
+			}
+		}
+		return commonBlock;
+	}
+
+	/**
+	 * @private
+	 * @param {string} peerId
+	 * @param {Array.<string>} ids - Ids of our blocks in descending height order
+	 * @returns {Promise.<Object|null>} Own block which matches the common block of the peer
+	 */
+	async _requestCommonBlock(peerId, ids) {
+		const { data } = await this._requestFromNetwork(
+			'blocksCommon',
+			{ ids: ids.join(',') },
+			peerId,
+		);
+		if (!data || !data.common) {
+			return null;
+		}
+		if (!ids.includes(data.common.id)) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_SCHEMA,
+				`Common block ${data.common.id} was not part of the requested ids`,
+			);
+			throw new Error(
+				`Peer ${peerId} returned common block ${
+					data.common.id
+				} which was not requested`,
+			);
+		}
+		// Only the id is taken from the peer, the height comes from our own chain
+		const [row] = await this.storage.entities.Block.get(
+			{ id: data.common.id },
+			{ limit: 1 },
+		);
+		return row
+			? { id: row.id, height: row.height, timestamp: row.timestamp }
+			: null;
+	}
+
+	/**
+	 * Loads our blocks above the common block in the format in which blocks are received from peers.
+	 *
+	 * @private
+	 * @param {Object} commonBlock
+	 * @param {number} depth - Number of blocks above the common block
+	 * @returns {Promise.<Array>} Block rows
+	 */
+	async _loadOwnBlocksAbove(commonBlock, depth) {
+		const rows = await this.blocksModule.loadBlocksDataWS({
+			lastId: commonBlock.id,
+			// The upper height bound is exclusive
+			limit: depth + 1,
+		});
+		rows.forEach(row => {
+			if (row.tf_data) {
+				row.tf_data = row.tf_data.toString('utf8');
+			}
+		});
+		return rows;
+	}
+
+	/**
+	 * Loads blocks from a single peer until the chain is above a height or the peer does not have any more blocks.
+	 *
+	 * @private
+	 * @param {string} peerId
+	 * @param {number} height
+	 * @returns {Promise} void
+	 */
+	async _loadBlocksFromPeer(peerId, height) {
+		let loaded = false;
+		while (!loaded && this.blocksModule.lastBlock.height <= height) {
+			// eslint-disable-next-line no-await-in-loop
+			const { blocks } = await this._getBlocksFromNetwork(peerId);
+			// eslint-disable-next-line no-await-in-loop
+			const validatedBlocks = await this._validateBlocks(blocks, peerId);
+			// eslint-disable-next-line no-await-in-loop
+			loaded = await this._getValidatedBlocksFromNetwork(
+				validatedBlocks,
+				peerId,
+			);
 		}
 	}
 }
@@ -0,0 +1,29 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+   DESCRIPTION: Create table to store the resolved signers of multisignature transactions
+   PARAMETERS: None
+*/
+
+CREATE TABLE IF NOT EXISTS "trs_multisig_signatures" (
+  "transactionId" VARCHAR(20) NOT NULL,
+  "signature" TEXT NOT NULL,
+  "signerPublicKey" VARCHAR(64) NOT NULL,
+  "signerAddress" VARCHAR(22) NOT NULL,
+  PRIMARY KEY ("transactionId", "signature")
+);
+
+CREATE INDEX IF NOT EXISTS "trs_multisig_signatures_signer_address" ON "trs_multisig_signatures" ("signerAddress");
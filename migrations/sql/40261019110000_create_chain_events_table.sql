@@ -0,0 +1,28 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+   DESCRIPTION: Create table to store the sequenced log of applied and reverted blocks and transactions
+   PARAMETERS: None
+*/
+
+CREATE TABLE IF NOT EXISTS "chain_events" (
+  "sequence" BIGSERIAL PRIMARY KEY,
+  "type" VARCHAR(30) NOT NULL,
+  "blockId" VARCHAR(20) NOT NULL,
+  "height" INT NOT NULL,
+  "data" jsonb NOT NULL,
+  "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
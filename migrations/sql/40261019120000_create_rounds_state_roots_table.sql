@@ -0,0 +1,27 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+   DESCRIPTION: Create table to store the hash of the account state at the end of each round
+   PARAMETERS: None
+*/
+
+CREATE TABLE IF NOT EXISTS "rounds_state_roots" (
+  "round" INT PRIMARY KEY,
+  "height" INT NOT NULL,
+  "blockId" VARCHAR(20) NOT NULL,
+  "stateRoot" VARCHAR(64) NOT NULL,
+  "accountsCount" INT NOT NULL
+);
@@ -0,0 +1,24 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+   DESCRIPTION: Create table to store the delegate list of each finished round
+   PARAMETERS: None
+*/
+
+CREATE TABLE IF NOT EXISTS "rounds_delegate_lists" (
+  "round" INT PRIMARY KEY,
+  "delegatePublicKeys" TEXT[] NOT NULL
+);
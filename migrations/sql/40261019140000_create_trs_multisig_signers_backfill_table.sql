@@ -0,0 +1,29 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+
+/*
+   DESCRIPTION: Create table to store the progress of resolving the signers of multisignature transactions
+                which were confirmed before trs_multisig_signatures existed, the backfill runs only once
+   PARAMETERS: None
+*/
+
+CREATE TABLE IF NOT EXISTS "trs_multisig_signers_backfill" (
+  "lastRowId" BIGINT NOT NULL,
+  "finished" BOOLEAN NOT NULL
+);
+
+INSERT INTO "trs_multisig_signers_backfill" ("lastRowId", "finished")
+SELECT 0, FALSE
+WHERE NOT EXISTS (SELECT 1 FROM "trs_multisig_signers_backfill");
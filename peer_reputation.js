@@ -0,0 +1,195 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const OFFENCE_INVALID_SCHEMA = 'invalidSchema';
+const OFFENCE_INVALID_BLOCK = 'invalidBlock';
+const OFFENCE_INVALID_TRANSACTION = 'invalidTransaction';
+const OFFENCE_UNRESPONSIVE = 'unresponsive';
+
+const OFFENCES = [
+	OFFENCE_INVALID_SCHEMA,
+	OFFENCE_INVALID_BLOCK,
+	OFFENCE_INVALID_TRANSACTION,
+	OFFENCE_UNRESPONSIVE,
+];
+
+// A penalty of 100 brings the reputation of a peer in the network module to 0 which bans the peer
+const BAN_PENALTY = 100;
+
+// Records which decayed below this score are forgotten
+const MIN_SCORE = 1;
+
+/**
+ * Keeps track of the misbehaviour of peers.
+ * Every offence adds its configured penalty to the score of the peer and the score is halved
+ * every decayHalfLife milliseconds, so only peers which misbehave repeatedly reach the thresholds.
+ *
+ * @class
+ * @param {Object} channel
+ * @param {Object} logger
+ * @param {Object} penalties - Score added per offence type
+ * @param {number} decayHalfLife - In milliseconds
+ * @param {number} penaltyThreshold - Score from which offences are forwarded to the network module
+ * @param {number} banThreshold - Score from which the peer is banned
+ */
+class PeerReputation {
+	constructor({
+		channel,
+		logger,
+		penalties,
+		decayHalfLife,
+		penaltyThreshold,
+		banThreshold,
+	}) {
+		this.channel = channel;
+		this.logger = logger;
+		this.penalties = penalties;
+		this.decayHalfLife = decayHalfLife;
+		this.penaltyThreshold = penaltyThreshold;
+		this.banThreshold = banThreshold;
+		this.peers = new Map();
+		this.lastPruneTime = Date.now();
+	}
+
+	/**
+	 * Adds an offence to the score of a peer.
+	 * Offences without a peer id, for example from the HTTP API, are ignored.
+	 *
+	 * @param {string} peerId
+	 * @param {string} offence - One of the OFFENCE_* constants
+	 * @param {string} [reason]
+	 */
+	recordOffence(peerId, offence, reason) {
+		if (!peerId) {
+			return;
+		}
+		if (!OFFENCES.includes(offence)) {
+			throw new Error(`Unknown peer offence ${offence}`);
+		}
+		const now = Date.now();
+		this._prune(now);
+
+		const record = this._getDecayedRecord(peerId, now) || {
+			peerId,
+			score: 0,
+			updatedAt: now,
+			offences: OFFENCES.reduce((offences, type) => {
+				offences[type] = 0;
+				return offences;
+			}, {}),
+			lastOffence: null,
+			bannedAt: null,
+		};
+		const penalty = this.penalties[offence];
+		record.score += penalty;
+		record.offences[offence] += 1;
+		record.lastOffence = { type: offence, reason, timestamp: now };
+		this.peers.set(peerId, record);
+
+		this.logger.debug(
+			{ peerId, offence, reason, score: record.score },
+			'Recorded peer offence',
+		);
+
+		if (record.score >= this.banThreshold) {
+			record.score = 0;
+			record.bannedAt = now;
+			this.logger.warn(
+				{ peerId, offence, reason },
+				'Banning peer because its score reached the ban threshold',
+			);
+			this._applyPenalty(peerId, BAN_PENALTY);
+			return;
+		}
+		if (record.score >= this.penaltyThreshold && penalty > 0) {
+			this._applyPenalty(peerId, penalty);
+		}
+	}
+
+	/**
+	 * @param {string} peerId
+	 * @returns {Object|null} Reputation of the peer with the score decayed to the current time
+	 */
+	getPeerReputation(peerId) {
+		const record = this._getDecayedRecord(peerId, Date.now());
+		return record ? this._formatRecord(record) : null;
+	}
+
+	/**
+	 * @returns {Array.<Object>} Reputation of all the tracked peers, worst first
+	 */
+	getPeerReputations() {
+		const now = Date.now();
+		return [...this.peers.keys()]
+			.map(peerId => this._formatRecord(this._getDecayedRecord(peerId, now)))
+			.sort((a, b) => b.score - a.score);
+	}
+
+	async _applyPenalty(peerId, penalty) {
+		try {
+			await this.channel.invoke('network:applyPenalty', { peerId, penalty });
+		} catch (error) {
+			this.logger.warn(
+				{ peerId, penalty, error: error.message },
+				'Failed to apply penalty to peer',
+			);
+		}
+	}
+
+	_getDecayedRecord(peerId, now) {
+		const record = this.peers.get(peerId);
+		if (!record) {
+			return null;
+		}
+		record.score *= 0.5 ** ((now - record.updatedAt) / this.decayHalfLife);
+		record.updatedAt = now;
+		return record;
+	}
+
+	_prune(now) {
+		if (now - this.lastPruneTime < this.decayHalfLife) {
+			return;
+		}
+		this.lastPruneTime = now;
+		[...this.peers.keys()].forEach(peerId => {
+			const record = this._getDecayedRecord(peerId, now);
+			const isRecentlyBanned =
+				record.bannedAt && now - record.bannedAt < this.decayHalfLife;
+			if (record.score < MIN_SCORE && !isRecentlyBanned) {
+				this.peers.delete(peerId);
+			}
+		});
+	}
+
+	// eslint-disable-next-line class-methods-use-this
+	_formatRecord({ peerId, score, offences, lastOffence, bannedAt }) {
+		return {
+			peerId,
+			score: Math.round(score * 100) / 100,
+			offences: { ...offences },
+			lastOffence: lastOffence ? { ...lastOffence } : null,
+			bannedAt,
+		};
+	}
+}
+
+module.exports = {
+	PeerReputation,
+	OFFENCE_INVALID_SCHEMA,
+	OFFENCE_INVALID_BLOCK,
+	OFFENCE_INVALID_TRANSACTION,
+	OFFENCE_UNRESPONSIVE,
+};
@@ -17,6 +17,7 @@
 const Promise = require('bluebird');
 const { getAddressFromPublicKey } = require('@liskhq/lisk-cryptography');
 const BigNum = require('@liskhq/bignum');
+const { calculateStateRoot } = require('./state_root');
 
 /**
  * Validates required scope properties.
@@ -36,6 +37,7 @@ class Round {
 			round: scope.round,
 			roundOutsiders: scope.roundOutsiders,
 			roundDelegates: scope.roundDelegates,
+			delegateList: scope.delegateList,
 			roundFees: scope.roundFees,
 			roundRewards: scope.roundRewards,
 			library: {
@@ -286,6 +288,79 @@ class Round {
 		);
 	}
 
+	/**
+	 * Computes the state root from the balance and votes of all accounts and stores it for the current round.
+	 *
+	 * @returns {Promise}
+	 */
+	saveStateRoot() {
+		const RoundEntity = this.scope.library.storage.entities.Round;
+		return calculateStateRoot(RoundEntity, this.t).then(
+			({ stateRoot, accountsCount }) => {
+				this.scope.library.logger.debug(
+					`Saving state root ${stateRoot} for round ${this.scope.round}`,
+				);
+				return RoundEntity.createStateRoot(
+					{
+						round: this.scope.round,
+						height: this.scope.block.height,
+						blockId: this.scope.block.id,
+						stateRoot,
+						accountsCount,
+					},
+					this.t,
+				);
+			},
+		);
+	}
+
+	/**
+	 * Removes the state root of the current round.
+	 * - Performed only when rollback last block of round.
+	 *
+	 * @returns {Promise}
+	 */
+	deleteStateRoot() {
+		this.scope.library.logger.debug(
+			`Deleting state root for round ${this.scope.round}`,
+		);
+		return this.scope.library.storage.entities.Round.deleteStateRoot(
+			this.scope.round,
+			this.t,
+		);
+	}
+
+	/**
+	 * Stores the delegate list of the current round.
+	 *
+	 * @returns {Promise}
+	 */
+	saveDelegateList() {
+		if (!this.scope.delegateList) {
+			return Promise.resolve();
+		}
+		return this.scope.library.storage.entities.Round.createDelegateList(
+			{
+				round: this.scope.round,
+				delegatePublicKeys: this.scope.delegateList,
+			},
+			this.t,
+		);
+	}
+
+	/**
+	 * Removes the delegate list of the current round.
+	 * - Performed only when rollback last block of round.
+	 *
+	 * @returns {Promise}
+	 */
+	deleteDelegateList() {
+		return this.scope.library.storage.entities.Round.deleteDelegateList(
+			this.scope.round,
+			this.t,
+		);
+	}
+
 	/**
 	 * Calculates rewards at round position.
 	 * Fees and feesRemaining based on slots.
@@ -498,6 +573,9 @@ class Round {
 	 * - applyRound
 	 * - updateVotes
 	 * - flushRound
+	 * - updateDelegatesRanks
+	 * - saveStateRoot
+	 * - saveDelegateList
 	 *
 	 * @returns {function} Call result
 	 */
@@ -509,6 +587,8 @@ class Round {
 			.then(this.updateVotes.bind(this))
 			.then(this.flushRound.bind(this))
 			.then(this.updateDelegatesRanks.bind(this))
+			.then(this.saveStateRoot.bind(this))
+			.then(this.saveDelegateList.bind(this))
 			.then(() => this.t);
 	}
 
@@ -520,6 +600,8 @@ class Round {
 	 * - restoreRoundSnapshot
 	 * - restoreVotesSnapshot
 	 * - deleteRoundRewards
+	 * - deleteStateRoot
+	 * - deleteDelegateList
 	 *
 	 * @returns {function} Call result
 	 */
@@ -531,6 +613,8 @@ class Round {
 			.then(this.restoreRoundSnapshot.bind(this))
 			.then(this.restoreVotesSnapshot.bind(this))
 			.then(this.deleteRoundRewards.bind(this))
+			.then(this.deleteStateRoot.bind(this))
+			.then(this.deleteDelegateList.bind(this))
 			.then(this.updateDelegatesRanks.bind(this))
 			.then(() => this.t);
 	}
@@ -412,8 +412,10 @@ __private.getOutsiders = function(scope, cb, tx) {
 	}
 	return library.delegates
 		.generateDelegateList(scope.round, null, tx)
-		.then(roundDelegates =>
-			async.eachSeries(
+		.then(roundDelegates => {
+			// Stored at the end of the round so that the headers of the round can be verified later
+			scope.delegateList = roundDelegates.slice();
+			return async.eachSeries(
 				roundDelegates,
 				(delegate, eachCb) => {
 					if (scope.roundDelegates.indexOf(delegate) === -1) {
@@ -427,8 +429,8 @@ __private.getOutsiders = function(scope, cb, tx) {
 					library.logger.trace('Got outsiders', scope.roundOutsiders);
 					return setImmediate(cb, eachSeriesErr);
 				},
-			),
-		)
+			);
+		})
 		.catch(err => {
 			setImmediate(cb, err);
 		});
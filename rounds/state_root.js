@@ -0,0 +1,56 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const STATE_ACCOUNTS_BATCH_SIZE = 5000;
+
+/**
+ * Hashes the balance and votes of the accounts into the state root of a round.
+ * Accounts are read in address order and fed into the hash one batch at a time so that
+ * the memory used does not grow with the number of accounts.
+ * The root is the sha256 of one line per account, joined by new lines.
+ *
+ * @param {Object} RoundEntity - Round storage entity
+ * @param {Object} tx - Database transaction object
+ * @returns {Promise.<Object>} stateRoot as hex string and accountsCount
+ */
+const calculateStateRoot = async (RoundEntity, tx) => {
+	const stateRootHash = crypto.createHash('sha256');
+	let accountsCount = 0;
+	await RoundEntity.forEachStateAccountsBatch(
+		STATE_ACCOUNTS_BATCH_SIZE,
+		accounts => {
+			accounts.forEach(
+				({ address, balance, vote, votedDelegatesPublicKeys }) => {
+					stateRootHash.update(
+						`${
+							accountsCount > 0 ? '\n' : ''
+						}${address}:${balance}:${vote}:${votedDelegatesPublicKeys}`,
+						'utf8',
+					);
+					accountsCount += 1;
+				},
+			);
+		},
+		tx,
+	);
+	return { stateRoot: stateRootHash.digest('hex'), accountsCount };
+};
+
+module.exports = {
+	calculateStateRoot,
+};
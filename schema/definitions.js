@@ -78,6 +78,25 @@ module.exports = {
 			type: 'object',
 		},
 	},
+	WSBlocksRequest: {
+		id: 'LeaseholdWSBlocksRequest',
+		type: 'object',
+		required: ['lastBlockId'],
+		properties: {
+			lastBlockId: {
+				type: 'string',
+				format: 'id',
+			},
+			toHeight: {
+				type: 'integer',
+				minimum: 1,
+			},
+			maxBytes: {
+				type: 'integer',
+				minimum: 1,
+			},
+		},
+	},
 	WSBlocksCommonRequest: {
 		id: 'LeaseholdWSBlocksCommonRequest',
 		type: 'object',
@@ -89,6 +108,21 @@ module.exports = {
 			},
 		},
 	},
+	WSBlockHeadersRequest: {
+		id: 'LeaseholdWSBlockHeadersRequest',
+		type: 'object',
+		required: ['fromHeight', 'toHeight'],
+		properties: {
+			fromHeight: {
+				type: 'integer',
+				minimum: 1,
+			},
+			toHeight: {
+				type: 'integer',
+				minimum: 1,
+			},
+		},
+	},
 	WSTransactionsRequest: {
 		id: 'LeaseholdWSTransactionsRequest',
 		type: 'object',
@@ -125,6 +159,27 @@ module.exports = {
 			},
 		},
 	},
+	WSSignaturesList: {
+		id: 'LeaseholdWSSignaturesList',
+		type: 'object',
+		required: ['signatures'],
+		properties: {
+			nonce: {
+				type: 'string',
+				example: 'sYHEDBKcScaAAAYg',
+				minLength: 16,
+				maxLength: 16,
+			},
+			signatures: {
+				type: 'array',
+				items: {
+					type: 'object',
+				},
+				minItems: 1,
+				maxItems: 25,
+			},
+		},
+	},
 	WSBlocksBroadcast: {
 		id: 'LeaseholdWSBlocksBroadcast',
 		type: 'object',
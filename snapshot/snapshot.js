@@ -0,0 +1,499 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const blocksLogic = require('../blocks/block');
+const blocksUtils = require('../blocks/utils');
+const { calculateStateRoot } = require('../rounds/state_root');
+
+const SNAPSHOT_FORMAT_VERSION = 1;
+const SNAPSHOT_BATCH_SIZE = 5000;
+
+/**
+ * Tables included in a snapshot, in the order in which they must be imported.
+ * Rows are exported as JSON so that postgres can convert them back into their column types on import.
+ * Tables which only exist at some points of a round are re-created on import with createStatement.
+ */
+const SNAPSHOT_TABLES = [
+	{ name: 'blocks', orderBy: '"height"' },
+	{ name: 'trs', orderBy: '"rowId"' },
+	{ name: 'trs_multisig_signatures', orderBy: '"transactionId", "signature"' },
+	{ name: 'mem_accounts', orderBy: '"address"' },
+	{ name: 'mem_accounts2delegates', orderBy: '"accountId", "dependentId"' },
+	{
+		name: 'mem_accounts2multisignatures',
+		orderBy: '"accountId", "dependentId"',
+	},
+	{ name: 'mem_round', orderBy: '"round", "address", "delegate"' },
+	{ name: 'rounds_rewards', orderBy: '"round", "timestamp"' },
+	{ name: 'rounds_state_roots', orderBy: '"round"' },
+	{ name: 'rounds_delegate_lists', orderBy: '"round"' },
+	{ name: 'chain_events', orderBy: '"sequence"' },
+	{
+		name: 'mem_round_snapshot',
+		orderBy: '"round", "address", "delegate"',
+		createStatement:
+			'CREATE TABLE mem_round_snapshot AS TABLE mem_round WITH NO DATA',
+	},
+	{
+		name: 'mem_votes_snapshot',
+		orderBy: '"address"',
+		createStatement:
+			'CREATE TABLE mem_votes_snapshot AS SELECT address, "publicKey", vote, "producedBlocks", "missedBlocks" FROM mem_accounts WITH NO DATA',
+	},
+];
+
+const SERIAL_COLUMNS = [
+	{ table: 'blocks', column: 'rowId' },
+	{ table: 'trs', column: 'rowId' },
+	{ table: 'chain_events', column: 'sequence' },
+];
+
+const getManifestPath = filePath => `${filePath}.manifest.json`;
+
+const calculateFileChecksum = filePath =>
+	new Promise((resolve, reject) => {
+		const checksum = crypto.createHash('sha256');
+		fs.createReadStream(filePath)
+			.on('error', reject)
+			.on('data', chunk => checksum.update(chunk))
+			.on('end', () => resolve(checksum.digest('hex')));
+	});
+
+const writeLine = async (stream, line) => {
+	if (!stream.write(line)) {
+		await new Promise(resolve => stream.once('drain', resolve));
+	}
+};
+
+/**
+ * Exports and imports the state of the chain at a round boundary.
+ * A snapshot is a gzip file with one line per table row (table name and JSON row separated by a tab)
+ * next to a manifest which holds the checksum of the file, the last block and the state root of the round.
+ * The manifest ships with the file so it is not trusted on import: the last block must be a configured
+ * checkpoint or the block id given by the operator, and every imported block is verified against it.
+ *
+ * @class
+ * @param {Object} storage
+ * @param {Object} logger
+ * @param {Object} genesisBlock
+ * @param {Object} blocksVerify
+ * @param {Object} interfaceAdapters
+ * @param {Object} checkpoints - Block ids by height
+ */
+class Snapshot {
+	constructor({
+		storage,
+		logger,
+		genesisBlock,
+		blocksVerify,
+		interfaceAdapters,
+		checkpoints = {},
+	}) {
+		this.storage = storage;
+		this.logger = logger;
+		this.genesisBlock = genesisBlock;
+		this.blocksVerify = blocksVerify;
+		this.interfaceAdapters = interfaceAdapters;
+		this.checkpoints = checkpoints;
+	}
+
+	/**
+	 * Writes a snapshot of the chain, the last block in the database must be the last block of the round.
+	 * All the tables are read within a single repeatable read transaction so the snapshot is consistent
+	 * even if new blocks are processed while it is being written.
+	 *
+	 * @param {string} filePath - Path of the compressed snapshot file
+	 * @param {number} round - Round which ends at the given height
+	 * @param {number} height - Height of the last block of the round
+	 * @returns {Promise.<Object>} Manifest of the snapshot
+	 */
+	async exportSnapshot(filePath, { round, height }) {
+		const temporaryFilePath = `${filePath}.tmp`;
+		let output;
+		let manifest;
+
+		try {
+			manifest = await this.storage.adapter.db.tx(
+				'snapshot:export',
+				async t => {
+					await t.none('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+
+					const [lastBlock] = await this.storage.entities.Block.get(
+						{},
+						{ limit: 1, sort: 'height:desc' },
+						t,
+					);
+					if (!lastBlock || Number(lastBlock.height) !== height) {
+						throw new Error(
+							`Cannot export snapshot of round ${round} because the last block is not at height ${height}`,
+						);
+					}
+					const stateRoot = await this.storage.entities.Round.getStateRoot(
+						round,
+						t,
+					);
+					if (!stateRoot) {
+						throw new Error(
+							`Cannot export snapshot because the state root of round ${round} is missing`,
+						);
+					}
+
+					this.logger.info({ round, height, filePath }, 'Exporting snapshot');
+
+					output = fs.createWriteStream(temporaryFilePath);
+					const gzip = zlib.createGzip();
+					const checksum = crypto.createHash('sha256');
+					gzip.on('data', chunk => checksum.update(chunk));
+					gzip.pipe(output);
+					const outputFinished = new Promise((resolve, reject) => {
+						output.on('finish', resolve);
+						output.on('error', reject);
+						gzip.on('error', reject);
+					});
+
+					const tables = {};
+					// eslint-disable-next-line no-restricted-syntax
+					for (const table of SNAPSHOT_TABLES) {
+						// eslint-disable-next-line no-await-in-loop
+						const rowsCount = await this._exportTable(t, table, gzip);
+						if (rowsCount !== null) {
+							tables[table.name] = rowsCount;
+						}
+					}
+
+					gzip.end();
+					await outputFinished;
+
+					return {
+						version: SNAPSHOT_FORMAT_VERSION,
+						genesisBlockId: this.genesisBlock.id,
+						round,
+						height,
+						lastBlockId: lastBlock.id,
+						stateRoot: stateRoot.stateRoot,
+						tables,
+						checksum: checksum.digest('hex'),
+						createdAt: new Date().toISOString(),
+					};
+				},
+			);
+			fs.renameSync(temporaryFilePath, filePath);
+		} catch (error) {
+			// Do not leave a partial snapshot behind
+			if (output) {
+				output.destroy();
+			}
+			if (fs.existsSync(temporaryFilePath)) {
+				fs.unlinkSync(temporaryFilePath);
+			}
+			throw error;
+		}
+
+		fs.writeFileSync(getManifestPath(filePath), JSON.stringify(manifest, null, 2));
+		this.logger.info(manifest, 'Snapshot exported');
+
+		return manifest;
+	}
+
+	/**
+	 * Imports a snapshot into an empty database.
+	 * The whole import is done in one database transaction which is rolled back if the snapshot
+	 * does not match the genesis block, the manifest or the state root.
+	 *
+	 * @param {string} filePath - Path of the compressed snapshot file
+	 * @param {Object} [trusted]
+	 * @param {string} [trusted.blockId] - Id of the last block of the snapshot, required unless it is a checkpoint
+	 * @param {string} [trusted.stateRoot] - State root of the round of the snapshot
+	 * @returns {Promise.<Object>} Manifest of the imported snapshot
+	 */
+	async importSnapshot(filePath, { blockId, stateRoot } = {}) {
+		const manifest = JSON.parse(fs.readFileSync(getManifestPath(filePath), 'utf8'));
+		if (manifest.version !== SNAPSHOT_FORMAT_VERSION) {
+			throw new Error(`Unsupported snapshot version ${manifest.version}`);
+		}
+		const trustedBlockId = blockId || this.checkpoints[manifest.height];
+		if (!trustedBlockId || trustedBlockId !== manifest.lastBlockId) {
+			throw new Error(
+				`Last block ${manifest.lastBlockId} of the snapshot at height ${
+					manifest.height
+				} is neither a checkpoint nor the trusted block id`,
+			);
+		}
+		if (stateRoot && stateRoot !== manifest.stateRoot) {
+			throw new Error(
+				`Snapshot state root ${manifest.stateRoot} does not match the trusted state root ${stateRoot}`,
+			);
+		}
+		if (manifest.genesisBlockId !== this.genesisBlock.id) {
+			throw new Error(
+				`Snapshot was exported from a chain with genesis block ${
+					manifest.genesisBlockId
+				}`,
+			);
+		}
+		const checksum = await calculateFileChecksum(filePath);
+		if (checksum !== manifest.checksum) {
+			throw new Error(
+				`Snapshot checksum ${checksum} does not match the manifest checksum ${
+					manifest.checksum
+				}`,
+			);
+		}
+		const blocksCount = await this.storage.entities.Block.count({});
+		if (blocksCount > 0) {
+			throw new Error('A snapshot can only be imported into an empty database');
+		}
+
+		this.logger.info(
+			{ round: manifest.round, height: manifest.height, filePath },
+			'Importing snapshot',
+		);
+
+		await this.storage.adapter.db.tx('snapshot:import', async t => {
+			const tables = await this._importRows(t, filePath, manifest);
+
+			Object.keys(manifest.tables).forEach(tableName => {
+				if (tables[tableName] !== manifest.tables[tableName]) {
+					throw new Error(
+						`Snapshot contains ${tables[tableName] || 0} rows of ${tableName} instead of ${
+							manifest.tables[tableName]
+						}`,
+					);
+				}
+			});
+
+			// eslint-disable-next-line no-restricted-syntax
+			for (const { table, column } of SERIAL_COLUMNS) {
+				// eslint-disable-next-line no-await-in-loop
+				await t.one(
+					`SELECT setval(pg_get_serial_sequence('${table}', '${column}'), COALESCE(MAX("${column}"), 0) + 1, false) FROM "${table}"`,
+				);
+			}
+
+			await this._verifyImportedChain(t, manifest);
+		});
+
+		this.logger.info(manifest, 'Snapshot imported');
+
+		return manifest;
+	}
+
+	async _exportTable(t, { name, orderBy }, output) {
+		const { exists } = await t.one(
+			'SELECT to_regclass($1) IS NOT NULL AS "exists"',
+			[name],
+		);
+		if (!exists) {
+			return null;
+		}
+
+		let rowsCount = 0;
+		await t.none(
+			`DECLARE snapshot_cursor NO SCROLL CURSOR FOR SELECT to_jsonb(t)::text AS "row" FROM "${name}" t ORDER BY ${orderBy}`,
+		);
+		// eslint-disable-next-line no-constant-condition
+		while (true) {
+			// eslint-disable-next-line no-await-in-loop
+			const rows = await t.any(`FETCH ${SNAPSHOT_BATCH_SIZE} FROM snapshot_cursor`);
+			if (!rows.length) {
+				break;
+			}
+			// eslint-disable-next-line no-await-in-loop
+			await writeLine(output, rows.map(({ row }) => `${name}\t${row}\n`).join(''));
+			rowsCount += rows.length;
+		}
+		await t.none('CLOSE snapshot_cursor');
+
+		return rowsCount;
+	}
+
+	async _importRows(t, filePath, manifest) {
+		const tablesByName = SNAPSHOT_TABLES.reduce((acc, table) => {
+			acc[table.name] = table;
+			return acc;
+		}, {});
+
+		// eslint-disable-next-line no-restricted-syntax
+		for (const tableName of Object.keys(manifest.tables)) {
+			const table = tablesByName[tableName];
+			if (!table) {
+				throw new Error(`Snapshot contains unknown table ${tableName}`);
+			}
+			if (table.createStatement) {
+				// eslint-disable-next-line no-await-in-loop
+				await t.none(`DROP TABLE IF EXISTS "${tableName}"`);
+				// eslint-disable-next-line no-await-in-loop
+				await t.none(table.createStatement);
+			}
+		}
+
+		const tables = {};
+		let batchTableName = null;
+		let batch = [];
+
+		const flush = async () => {
+			if (!batch.length) {
+				return;
+			}
+			await t.none(
+				`INSERT INTO "${batchTableName}" SELECT * FROM jsonb_populate_recordset(NULL::"${batchTableName}", $1::jsonb)`,
+				[`[${batch.join(',')}]`],
+			);
+			tables[batchTableName] = (tables[batchTableName] || 0) + batch.length;
+			batch = [];
+		};
+
+		const lines = readline.createInterface({
+			input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+			crlfDelay: Infinity,
+		});
+
+		// eslint-disable-next-line no-restricted-syntax
+		for await (const line of lines) {
+			if (!line) {
+				// eslint-disable-next-line no-continue
+				continue;
+			}
+			const separatorIndex = line.indexOf('\t');
+			const tableName = line.slice(0, separatorIndex);
+			if (!Object.prototype.hasOwnProperty.call(manifest.tables, tableName)) {
+				throw new Error(`Snapshot contains rows of unexpected table ${tableName}`);
+			}
+			if (tableName !== batchTableName || batch.length >= SNAPSHOT_BATCH_SIZE) {
+				await flush();
+				batchTableName = tableName;
+			}
+			batch.push(line.slice(separatorIndex + 1));
+		}
+		await flush();
+
+		return tables;
+	}
+
+	async _verifyImportedChain(t, manifest) {
+		const genesisBlock = await this.storage.entities.Block.getOne(
+			{ height: 1 },
+			{},
+			t,
+		);
+		if (!this.blocksVerify.matchGenesisBlock(genesisBlock)) {
+			throw new Error('Genesis block of the snapshot does not match');
+		}
+
+		const [lastBlockRow] = await this.storage.entities.Block.get(
+			{},
+			{ limit: 1, sort: 'height:desc' },
+			t,
+		);
+		const lastBlock = blocksLogic.storageRead(lastBlockRow);
+		if (
+			lastBlock.id !== manifest.lastBlockId ||
+			lastBlock.height !== manifest.height ||
+			blocksLogic.getId(lastBlock) !== lastBlock.id ||
+			!blocksLogic.verifySignature(lastBlock)
+		) {
+			throw new Error(
+				`Last block of the snapshot does not match block ${
+					manifest.lastBlockId
+				} at height ${manifest.height}`,
+			);
+		}
+
+		// Every block must link to the block right below it so that the verified last block
+		// commits to the whole imported chain
+		const { blocksCount, unlinkedCount } = await t.one(
+			`SELECT
+				(SELECT COUNT(*)::int FROM blocks) AS "blocksCount",
+				(SELECT COUNT(*)::int FROM blocks b
+					LEFT JOIN blocks p ON p."id" = b."previousBlock" AND p."height" = b."height" - 1
+					WHERE b."height" > 1 AND p."id" IS NULL) AS "unlinkedCount"`,
+		);
+		if (blocksCount !== manifest.height || unlinkedCount > 0) {
+			throw new Error(
+				`Blocks of the snapshot do not form a chain from the genesis block to block ${
+					manifest.lastBlockId
+				}`,
+			);
+		}
+
+		await this._verifyImportedBlocks(t, manifest);
+
+		const { stateRoot } = await calculateStateRoot(
+			this.storage.entities.Round,
+			t,
+		);
+		if (stateRoot !== manifest.stateRoot) {
+			throw new Error(
+				`State root ${stateRoot} of the imported accounts does not match the snapshot state root ${
+					manifest.stateRoot
+				}`,
+			);
+		}
+	}
+
+	/**
+	 * Recomputes the id of every imported block and its payload hash from the imported transactions.
+	 * Together with the linkage to the trusted last block this proves that blocks and transactions were not altered.
+	 *
+	 * @private
+	 * @param {Object} t - Database transaction object
+	 * @param {Object} manifest
+	 * @returns {Promise} void
+	 */
+	async _verifyImportedBlocks(t, manifest) {
+		for (
+			let fromHeight = 2;
+			fromHeight <= manifest.height;
+			fromHeight += SNAPSHOT_BATCH_SIZE
+		) {
+			// eslint-disable-next-line no-await-in-loop
+			const blocks = await blocksUtils.loadBlocksWithOffset(
+				this.storage,
+				this.interfaceAdapters,
+				this.genesisBlock,
+				SNAPSHOT_BATCH_SIZE,
+				fromHeight,
+				t,
+			);
+			// eslint-disable-next-line no-restricted-syntax
+			for (const block of blocks) {
+				const payloadHash = blocksLogic.calculatePayloadHash(
+					block.version,
+					block.transactions.map(transaction => transaction.getBytes()),
+				);
+				if (
+					blocksLogic.getId(block) !== block.id ||
+					payloadHash !== block.payloadHash
+				) {
+					throw new Error(
+						`Block ${block.id} at height ${
+							block.height
+						} of the snapshot does not match its content`,
+					);
+				}
+			}
+		}
+	}
+}
+
+module.exports = {
+	Snapshot,
+	SNAPSHOT_FORMAT_VERSION,
+};
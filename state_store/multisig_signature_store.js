@@ -0,0 +1,71 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+class MultisigSignatureStore {
+	constructor(transactionEntity, { tx }) {
+		this.transaction = transactionEntity;
+		this.data = [];
+		this.removedTransactionIds = [];
+		this.name = 'multisigSignature';
+		this.tx = tx;
+	}
+
+	async cache() {
+		throw new Error(`cache cannot be called for ${this.name}`);
+	}
+
+	add(element) {
+		this.data.push(element);
+	}
+
+	remove(transactionId) {
+		this.removedTransactionIds.push(transactionId);
+	}
+
+	createSnapshot() {
+		throw new Error(`createSnapshot cannot be called for ${this.name}`);
+	}
+
+	restoreSnapshot() {
+		throw new Error(`restoreSnapshot cannot be called for ${this.name}`);
+	}
+
+	get() {
+		throw new Error(`get cannot be called for ${this.name}`);
+	}
+
+	getOrDefault() {
+		throw new Error(`getOrDefault cannot be called for ${this.name}`);
+	}
+
+	find() {
+		throw new Error(`find cannot be called for ${this.name}`);
+	}
+
+	set() {
+		throw new Error(`set cannot be called for ${this.name}`);
+	}
+
+	async finalize() {
+		await this.transaction.deleteMultisigSignatures(
+			this.removedTransactionIds,
+			this.tx,
+		);
+		await this.transaction.createMultisigSignatures(this.data, this.tx);
+	}
+}
+
+module.exports = MultisigSignatureStore;
@@ -17,6 +17,7 @@
 const AccountStore = require('./account_store');
 const TransactionStore = require('./transaction_store');
 const RoundStore = require('./round_store');
+const MultisigSignatureStore = require('./multisig_signature_store');
 
 class StateStore {
 	constructor(storage, options) {
@@ -29,6 +30,10 @@ class StateStore {
 		this.account = new AccountStore(this.entities.Account, options);
 		this.round = new RoundStore(this.entities.Round, options);
 		this.transaction = new TransactionStore(this.entities.Transaction, options);
+		this.multisigSignature = new MultisigSignatureStore(
+			this.entities.Transaction,
+			options,
+		);
 	}
 
 	createSnapshot() {
@@ -17,9 +17,11 @@
 const {
 	TransactionPool,
 	EVENT_UNCONFIRMED_TRANSACTION,
+	EVENT_MULTISIGNATURE_SIGNATURE,
 } = require('./transaction_pool');
 
 module.exports = {
 	TransactionPool,
 	EVENT_UNCONFIRMED_TRANSACTION,
+	EVENT_MULTISIGNATURE_SIGNATURE,
 };
@@ -26,6 +26,7 @@ const { sortBy } = require('./sort');
 const transactionsModule = require('../transactions');
 
 const EVENT_UNCONFIRMED_TRANSACTION = 'EVENT_UNCONFIRMED_TRANSACTION';
+const EVENT_MULTISIGNATURE_SIGNATURE = 'EVENT_MULTISIGNATURE_SIGNATURE';
 
 const receivedQueue = 'received';
 // TODO: Need to decide which queue will include transactions in the validated queue
@@ -33,6 +34,8 @@ const pendingQueue = 'pending';
 const verifiedQueue = 'verified';
 const readyQueue = 'ready';
 const validatedQueue = 'validated';
+// Same as the timeout of pending multisignature transactions in lisk-transactions
+const DEFAULT_MULTISIG_LIFETIME_HOURS = 3;
 
 const handleAddTransactionResponse = (addTransactionResponse, transaction) => {
 	if (addTransactionResponse.isFull) {
@@ -197,10 +200,147 @@ class TransactionPool extends EventEmitter {
 		});
 	}
 
+	async getTransactionAndProcessSignature(signature) {
+		if (!signature) {
+			const message = 'Unable to process signature, signature not provided';
+			this.logger.error(message);
+			throw [new TransactionError(message, '', '.signature')];
+		}
+		// Grab transaction with corresponding ID from transaction pool
+		const transaction = this.getMultisignatureTransaction(
+			signature.transactionId,
+		);
+
+		if (!transaction) {
+			const message =
+				'Unable to process signature, corresponding transaction not found';
+			this.logger.error(message, { signature });
+			throw [new TransactionError(message, '', '.signature')];
+		}
+
+		const transactionResponse = await transactionsModule.processSignature(
+			this.storage,
+		)(transaction, signature);
+		if (
+			transactionResponse.status === TransactionStatus.FAIL &&
+			transactionResponse.errors.length > 0
+		) {
+			const { message } = transactionResponse.errors[0];
+			this.logger.error(message, { signature });
+			throw transactionResponse.errors;
+		}
+
+		this.emit(EVENT_MULTISIGNATURE_SIGNATURE, signature);
+		return transactionResponse;
+	}
+
+	/**
+	 * Removes multisignature transactions which did not collect enough signatures
+	 * within the lifetime (in hours) of their multisignature wallet.
+	 * The expiry job of the pool skips pending transactions, see _trackTransaction.
+	 *
+	 * @returns {Object[]} Of expired transactions
+	 */
+	async expireMultisignatureTransactions() {
+		const transactions = this.getMultisignatureTransactionList(false);
+		if (!transactions.length) {
+			return [];
+		}
+		const senderIds = _.uniq(
+			transactions.map(transaction => transaction.senderId),
+		);
+		const accounts = await this.storage.entities.Account.get(
+			{ address_in: senderIds },
+			{ limit: senderIds.length },
+		);
+		const lifetimes = {};
+		accounts.forEach(account => {
+			lifetimes[account.address] = account.multiLifetime;
+		});
+
+		const now = Date.now();
+		const expiredTransactionIds = transactions
+			.filter(transaction => {
+				const expiry = this.getMultisignatureTransactionExpiry(
+					transaction,
+					lifetimes[transaction.senderId],
+				);
+				return expiry <= now;
+			})
+			.map(transaction => transaction.id);
+
+		if (!expiredTransactionIds.length) {
+			return [];
+		}
+		const expiredTransactions = this.pool.queues[pendingQueue].removeFor(
+			transaction => expiredTransactionIds.includes(transaction.id),
+		);
+		this.logger.info(
+			`Transaction pool - expired multisignature transactions with ID(s): ${expiredTransactionIds}`,
+		);
+		return expiredTransactions;
+	}
+
+	/**
+	 * Gets the time at which a pending multisignature transaction will expire.
+	 *
+	 * @param {Object} transaction - Transaction from the pending queue
+	 * @param {number} multiLifetime - Lifetime of the multisignature wallet in hours
+	 * @returns {number} Expiry time in milliseconds
+	 */
+	// eslint-disable-next-line class-methods-use-this
+	getMultisignatureTransactionExpiry(transaction, multiLifetime) {
+		const lifetime = multiLifetime || DEFAULT_MULTISIG_LIFETIME_HOURS;
+		return transaction.receivedAt.getTime() + lifetime * 3600 * 1000;
+	}
+
+	/**
+	 * Stamps the time at which the transaction entered the pool, a receivedAt sent by a peer is not trusted.
+	 * The default expiry of the pool would drop pending multisignature transactions after 3 hours whatever
+	 * the lifetime of their wallet, so pending transactions are only expired by expireMultisignatureTransactions.
+	 *
+	 * @private
+	 * @param {Object} transaction
+	 */
+	_trackTransaction(transaction) {
+		transaction.receivedAt = new Date();
+		const isExpired = transaction.isExpired.bind(transaction);
+		transaction.isExpired = date =>
+			!this.pool.queues[pendingQueue].index[transaction.id] && isExpired(date);
+	}
+
 	transactionInPool(id) {
 		return this.pool.existsInTransactionPool(id);
 	}
 
+	/**
+	 * Finds a transaction in the pool along with the name of the queue which holds it.
+	 *
+	 * @param {string} id - Transaction id
+	 * @returns {Object|null} Of the form {queueName, transaction}
+	 */
+	getTransactionWithQueueName(id) {
+		if (!this.transactionInPool(id)) {
+			return null;
+		}
+		const queueName = [
+			readyQueue,
+			pendingQueue,
+			verifiedQueue,
+			validatedQueue,
+			receivedQueue,
+		].find(name => this.pool.queues[name].index[id]);
+
+		if (!queueName) {
+			return null;
+		}
+
+		return {
+			queueName,
+			transaction: this.pool.queues[queueName].index[id],
+		};
+	}
+
 	getMultisignatureTransaction(id) {
 		return this.pool.queues[pendingQueue].index[id];
 	}
@@ -356,6 +496,13 @@ class TransactionPool extends EventEmitter {
 		);
 	}
 
+	addMultisignatureTransaction(transaction) {
+		return handleAddTransactionResponse(
+			this.pool.addPendingTransaction(transaction),
+			transaction,
+		);
+	}
+
 	async processUnconfirmedTransaction(transaction) {
 		if (this.transactionInPool(transaction.id)) {
 			throw [
@@ -380,6 +527,7 @@ class TransactionPool extends EventEmitter {
 			];
 		}
 
+		this._trackTransaction(transaction);
 		if (transaction.bundled) {
 			return this.addBundledTransaction(transaction);
 		}
@@ -390,10 +538,8 @@ class TransactionPool extends EventEmitter {
 			return this.addVerifiedTransaction(transaction);
 		}
 		if (transactionsResponses[0].status === TransactionStatus.PENDING) {
-			// Do not allow pending multisig transactions because it can be exploited.
-			throw new Error(
-				`Transfer transaction from multisig address is missing some signatures: ${transaction.id}`
-			);
+			// Pending transactions wait for signatures from members and expire after the wallet lifetime.
+			return this.addMultisignatureTransaction(transaction);
 		}
 		this.logger.info(`Transaction pool - ${transactionsResponses[0].errors}`);
 		throw transactionsResponses[0].errors;
@@ -482,4 +628,5 @@ class TransactionPool extends EventEmitter {
 module.exports = {
 	TransactionPool,
 	EVENT_UNCONFIRMED_TRANSACTION,
+	EVENT_MULTISIGNATURE_SIGNATURE,
 };
@@ -0,0 +1,74 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const {
+	hash,
+	verifyData,
+	getAddressFromPublicKey,
+} = require('@liskhq/lisk-cryptography');
+
+/**
+ * Resolves which member of the sender multisignature wallet created each signature of the transaction.
+ * It must be called after the transaction was applied so that the members of a newly
+ * registered multisignature wallet are already part of the sender account.
+ *
+ * @param {StateStore} stateStore
+ * @param {Object} transaction
+ * @returns {Array.<Object>} List of {transactionId, signature, signerPublicKey, signerAddress}
+ */
+const resolveSigners = (stateStore, transaction) => {
+	const account = stateStore.account.get(transaction.senderId);
+	const memberPublicKeys = account.membersPublicKeys || [];
+	const transactionHash = hash(transaction.getBasicBytes());
+
+	return transaction.signatures
+		.map(signature => {
+			const signerPublicKey = memberPublicKeys.find(publicKey =>
+				verifyData(transactionHash, signature, publicKey),
+			);
+			if (!signerPublicKey) {
+				return null;
+			}
+			return {
+				transactionId: transaction.id,
+				signature,
+				signerPublicKey,
+				signerAddress: getAddressFromPublicKey(signerPublicKey),
+			};
+		})
+		.filter(signer => signer);
+};
+
+const apply = (stateStore, transaction) => {
+	if (!transaction.signatures || !transaction.signatures.length) {
+		return;
+	}
+	resolveSigners(stateStore, transaction).forEach(signer =>
+		stateStore.multisigSignature.add(signer),
+	);
+};
+
+const undo = (stateStore, transaction) => {
+	if (!transaction.signatures || !transaction.signatures.length) {
+		return;
+	}
+	stateStore.multisigSignature.remove(transaction.id);
+};
+
+module.exports = {
+	apply,
+	undo,
+};
@@ -0,0 +1,44 @@
+/*
+ * Copyright © 2019 Lisk Foundation
+ *
+ * See the LICENSE file at the top-level directory of this distribution
+ * for licensing information.
+ *
+ * Unless otherwise agreed in a custom licensing agreement with the Lisk Foundation,
+ * no part of this software, including this file, may be copied, modified,
+ * propagated, or distributed except according to the terms contained in the
+ * LICENSE file.
+ *
+ * Removal or modification of this copyright notice is prohibited.
+ */
+
+'use strict';
+
+const {
+	TransferTransaction,
+	SecondSignatureTransaction,
+	DelegateTransaction,
+	VoteTransaction,
+	MultisignatureTransaction,
+} = require('@liskhq/lisk-transactions');
+const {
+	DappTransaction,
+	InTransferTransaction,
+	OutTransferTransaction,
+} = require('../extra_transactions');
+
+// Kept in a separate file so that worker threads can create the same transaction instances as the module
+const registeredTransactions = {
+	'0': Object.freeze(TransferTransaction),
+	'1': Object.freeze(SecondSignatureTransaction),
+	'2': Object.freeze(DelegateTransaction),
+	'3': Object.freeze(VoteTransaction),
+	'4': Object.freeze(MultisignatureTransaction),
+	'5': Object.freeze(DappTransaction),
+	'6': Object.freeze(InTransferTransaction),
+	'7': Object.freeze(OutTransferTransaction),
+};
+
+module.exports = {
+	registeredTransactions,
+};
@@ -20,6 +20,7 @@ const {
 	TransactionError,
 } = require('@liskhq/lisk-transactions');
 const votes = require('./votes');
+const multisigSignatures = require('./multisig_signatures');
 const exceptionsHandlers = require('./exceptions_handlers');
 const StateStore = require('../state_store');
 
@@ -184,6 +185,7 @@ const applyTransactions = (storage, exceptions) => async (transactions, tx) => {
 			}
 			if (transactionResponse.status === TransactionStatus.OK) {
 				votes.apply(stateStore, transaction, exceptions);
+				multisigSignatures.apply(stateStore, transaction);
 				stateStore.transaction.add(transaction);
 			}
 
@@ -283,6 +285,7 @@ const undoTransactions = (storage, exceptions) => async (
 	const transactionsResponses = transactions.map(transaction => {
 		const transactionResponse = transaction.undo(stateStore);
 		votes.undo(stateStore, transaction, this.exceptions);
+		multisigSignatures.undo(stateStore, transaction);
 		return transactionResponse;
 	});
 
@@ -52,6 +52,11 @@ class Broadcaster {
 				collection: 'transactions',
 				object: 'transaction',
 			},
+			{
+				path: `${this.moduleAlias}:postSignatures`,
+				collection: 'signatures',
+				object: 'signature',
+			},
 		];
 
 		if (this.config.active) {
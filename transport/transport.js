@@ -17,12 +17,28 @@
 const { TransactionError } = require('@liskhq/lisk-transactions');
 const { validator } = require('@liskhq/lisk-validator');
 const _ = require('lodash');
-const { convertErrorsToString } = require('../utils/error_handlers');
+const {
+	convertErrorsToString,
+	BlockVerificationError,
+} = require('../utils/error_handlers');
+const {
+	OFFENCE_INVALID_SCHEMA,
+	OFFENCE_INVALID_BLOCK,
+	OFFENCE_INVALID_TRANSACTION,
+} = require('../peer_reputation');
 const Broadcaster = require('./broadcaster');
 const definitions = require('../schema/definitions');
 const blocksUtils = require('../blocks');
 const transactionsModule = require('../transactions');
 
+// Maximum transport payload is 2000000 bytes, the remainder is kept for the response envelope
+const MAX_BLOCKS_RESPONSE_BYTES = 1950000;
+// Number of blocks returned to peers which do not request a height range
+const LEGACY_BLOCKS_PER_RESPONSE = 33;
+const MAX_BLOCKS_PER_RESPONSE = 1000;
+// Number of blocks loaded from the database at once while filling the byte budget
+const BLOCKS_PER_QUERY = 34;
+
 /**
  * Main transport methods. Initializes library with scope content and generates a Broadcaster instance.
  *
@@ -52,6 +68,7 @@ class Transport {
 		blocksModule,
 		loaderModule,
 		interfaceAdapters,
+		peerReputation,
 		// Constants
 		nonce,
 		broadcasts,
@@ -76,6 +93,7 @@ class Transport {
 		this.blocksModule = blocksModule;
 		this.loaderModule = loaderModule;
 		this.interfaceAdapters = interfaceAdapters;
+		this.peerReputation = peerReputation;
 
 		this.broadcaster = new Broadcaster(
 			this.constants.nonce,
@@ -113,6 +131,29 @@ class Transport {
 		}
 	}
 
+	/**
+	 * Calls enqueue signatures and emits a 'signature/change' socket message.
+	 *
+	 * @param {signature} signature
+	 * @param {Object} broadcast
+	 * @emits signature/change
+	 * @todo Add description for the params
+	 */
+	onSignature(signature, broadcast) {
+		if (broadcast) {
+			this.broadcaster.enqueue(
+				{},
+				{
+					api: `${this.moduleAlias}:postSignatures`,
+					data: {
+						signature,
+					},
+				},
+			);
+			this.channel.publish(`${this.moduleAlias}:signature:change`, signature);
+		}
+	}
+
 	/**
 	 * Calls broadcast blocks and emits a 'blocks/change' socket message.
 	 *
@@ -220,9 +261,13 @@ class Transport {
 		}
 
 		try {
-			const row = await this.storage.entities.Block.get({
-				id: escapedIds[0],
-			});
+			// The highest block which is part of the requested sequence is the common block
+			const row = await this.storage.entities.Block.get(
+				{
+					id_in: escapedIds,
+				},
+				{ limit: 1, sort: 'height:desc' },
+			);
 
 			if (!row.length > 0) {
 				return {
@@ -251,17 +296,19 @@ class Transport {
 	}
 
 	/**
-	 * Description of blocks.
+	 * Returns the blocks following a block, with all data (joins), as rows of the full blocks list.
+	 * Blocks are added until the requested height or the byte budget is reached, at least one block
+	 * is always returned. If the budget is exhausted before the requested height, nextLastBlockId
+	 * contains the id of the last returned block from which the next request can continue.
 	 *
-	 * @todo Add @param tags
-	 * @todo Add description of the function
+	 * @param {Object} query
+	 * @param {string} query.lastBlockId - Block after which the blocks are returned
+	 * @param {number} [query.toHeight] - Inclusive, defaults to the 33 blocks after lastBlockId
+	 * @param {number} [query.maxBytes] - Capped to MAX_BLOCKS_RESPONSE_BYTES
+	 * @returns {Promise.<Object>} blocks, nextLastBlockId and success
 	 */
 	// eslint-disable-next-line consistent-return
 	async blocks(query) {
-		// Get 34 blocks with all data (joins) from provided block id
-		// According to maxium payload of 58150 bytes per block with every transaction being a vote
-		// Discounting maxium compression setting used in middleware
-		// Maximum transport payload = 2000000 bytes
 		if (!query || !query.lastBlockId) {
 			return {
 				success: false,
@@ -269,29 +316,28 @@ class Transport {
 			};
 		}
 
-		try {
-			const data = await this.blocksModule.loadBlocksDataWS({
-				limit: 34, // 1977100 bytes
-				lastId: query.lastBlockId,
-			});
+		const errors = validator.validate(definitions.WSBlocksRequest, query);
 
-			_.each(data, block => {
-				if (block.tf_data) {
-					try {
-						block.tf_data = block.tf_data.toString('utf8');
-					} catch (e) {
-						this.logger.error(
-							'Transport->blocks: Failed to convert data field to UTF-8',
-							{
-								block,
-								error: e,
-							},
-						);
-					}
-				}
+		if (errors.length) {
+			const error = `${errors[0].message}: ${errors[0].path}`;
+			this.logger.debug('Blocks request validation failed', {
+				err: error.toString(),
+				req: query,
 			});
+			throw new Error(error);
+		}
 
-			return { blocks: data, success: true };
+		try {
+			const { blocks, nextLastBlockId } = await this._loadBlocksWithinBudget(
+				query.lastBlockId,
+				query.toHeight,
+				Math.min(
+					query.maxBytes || MAX_BLOCKS_RESPONSE_BYTES,
+					MAX_BLOCKS_RESPONSE_BYTES,
+				),
+			);
+
+			return { blocks, nextLastBlockId, success: true };
 		} catch (err) {
 			return {
 				blocks: [],
@@ -301,14 +347,121 @@ class Transport {
 		}
 	}
 
+	/**
+	 * @private
+	 * @param {string} lastBlockId
+	 * @param {number} [toHeight]
+	 * @param {number} maxBytes
+	 * @returns {Promise.<Object>} blocks rows and nextLastBlockId
+	 */
+	async _loadBlocksWithinBudget(lastBlockId, toHeight, maxBytes) {
+		const [lastBlock] = await this.storage.entities.Block.get(
+			{ id: lastBlockId },
+			{ limit: 1 },
+		);
+		if (!lastBlock) {
+			throw new Error('Invalid lastBlockId requested');
+		}
+		const requestedToHeight =
+			toHeight || lastBlock.height + LEGACY_BLOCKS_PER_RESPONSE;
+		const maxToHeight = Math.min(
+			requestedToHeight,
+			lastBlock.height + MAX_BLOCKS_PER_RESPONSE,
+		);
+
+		const blocks = [];
+		let bytes = 0;
+		let lastId = lastBlock.id;
+		let height = lastBlock.height;
+		while (height < maxToHeight) {
+			// The upper height bound of loadBlocksDataWS is exclusive
+			// eslint-disable-next-line no-await-in-loop
+			const rows = await this.blocksModule.loadBlocksDataWS({
+				lastId,
+				limit: Math.min(BLOCKS_PER_QUERY, maxToHeight - height) + 1,
+			});
+			if (!rows.length) {
+				// The end of the chain was reached
+				return { blocks, nextLastBlockId: null };
+			}
+
+			const blocksRows = _.values(_.groupBy(rows, 'b_height'));
+			for (let i = 0; i < blocksRows.length; i += 1) {
+				const blockRows = blocksRows[i];
+				this._convertDataFieldsToUtf8(blockRows);
+				const blockBytes = Buffer.byteLength(JSON.stringify(blockRows));
+				if (blocks.length && bytes + blockBytes > maxBytes) {
+					return { blocks, nextLastBlockId: lastId };
+				}
+				blocks.push(...blockRows);
+				bytes += blockBytes;
+				lastId = blockRows[0].b_id;
+				height = blockRows[0].b_height;
+			}
+		}
+
+		return {
+			blocks,
+			nextLastBlockId: height < requestedToHeight ? lastId : null,
+		};
+	}
+
+	_convertDataFieldsToUtf8(rows) {
+		_.each(rows, block => {
+			if (block.tf_data) {
+				try {
+					block.tf_data = block.tf_data.toString('utf8');
+				} catch (e) {
+					this.logger.error(
+						'Transport->blocks: Failed to convert data field to UTF-8',
+						{
+							block,
+							error: e,
+						},
+					);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Returns the signed headers of a height range, without transactions, so that light clients
+	 * can follow the chain.
+	 *
+	 * @param {Object} query
+	 * @param {number} query.fromHeight - Inclusive
+	 * @param {number} query.toHeight - Inclusive
+	 * @returns {Promise.<Object>} headers and delegateLists by round
+	 */
+	async blockHeaders(query) {
+		const errors = validator.validate(definitions.WSBlockHeadersRequest, query);
+
+		if (errors.length) {
+			const error = `${errors[0].message}: ${errors[0].path}`;
+			this.logger.debug('Block headers request validation failed', {
+				err: error.toString(),
+				req: query,
+			});
+			throw new Error(error);
+		}
+
+		const { headers, delegateLists } = await this.blocksModule.getBlockHeaders(
+			query.fromHeight,
+			query.toHeight,
+		);
+
+		return { headers, delegateLists, success: true };
+	}
+
 	/**
 	 * Description of postBlock.
 	 *
-	 * @todo Add @param tags
+	 * @param {Object} query
+	 * @param {string} [peerId] - Id of the peer which sent the block
 	 * @todo Add @returns tag
 	 * @todo Add description of the function
 	 */
-	async postBlock(query = {}) {
+	async postBlock(query = {}, peerId) {
 		if (!this.constants.broadcasts.active) {
 			return this.logger.debug(
 				'Receiving blocks disabled by user through config.json',
@@ -326,16 +479,29 @@ class Transport {
 					query,
 				},
 			);
-			// TODO: If there is an error, invoke the applyPenalty action on the Network module once it is implemented.
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_SCHEMA,
+				'Invalid postBlock message',
+			);
 			throw errors;
 		}
 
 		let block = blocksUtils.addBlockProperties(query.block);
 
-		// Instantiate transaction classes
-		block.transactions = this.interfaceAdapters.transactions.fromBlock(block);
+		try {
+			// Instantiate transaction classes
+			block.transactions = this.interfaceAdapters.transactions.fromBlock(block);
 
-		block = blocksUtils.objectNormalize(block);
+			block = blocksUtils.objectNormalize(block);
+		} catch (errors) {
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_BLOCK,
+				convertErrorsToString(errors),
+			);
+			throw errors;
+		}
 		// TODO: endpoint should be protected before
 		if (this.loaderModule.syncing()) {
 			return this.logger.debug(
@@ -343,7 +509,18 @@ class Transport {
 				block.id,
 			);
 		}
-		return this.blocksModule.receiveBlockFromNetwork(block);
+		try {
+			return await this.blocksModule.receiveBlockFromNetwork(block);
+		} catch (error) {
+			if (error instanceof BlockVerificationError) {
+				this.peerReputation.recordOffence(
+					peerId,
+					OFFENCE_INVALID_BLOCK,
+					error.message,
+				);
+			}
+			throw error;
+		}
 	}
 
 	/**
@@ -399,11 +576,12 @@ class Transport {
 	/**
 	 * Description of postTransactions.
 	 *
-	 * @todo Add @param tags
+	 * @param {Object} query
+	 * @param {string} [peerId] - Id of the peer which sent the transactions
 	 * @todo Add @returns tag
 	 * @todo Add description of the function
 	 */
-	async postTransactions(query) {
+	async postTransactions(query, peerId) {
 		if (!this.constants.broadcasts.active) {
 			return this.logger.debug(
 				'Receiving transactions disabled by user through config.json',
@@ -414,11 +592,107 @@ class Transport {
 
 		if (errors.length) {
 			this.logger.debug('Invalid transactions body', errors);
-			// TODO: If there is an error, invoke the applyPenalty action on the Network module once it is implemented.
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_SCHEMA,
+				'Invalid postTransactions message',
+			);
 			throw errors;
 		}
 
-		return this._receiveTransactions(query.transactions);
+		return this._receiveTransactions(query.transactions, peerId);
+	}
+
+	/**
+	 * Adds a multisignature member signature to a pending transaction.
+	 *
+	 * @param {Object} query
+	 * @param {Object} query.signature - Signature packet with transactionId, publicKey and signature
+	 * @returns {Promise.<Object, Error>}
+	 */
+	async postSignature(query) {
+		const errors = validator.validate(definitions.Signature, query.signature);
+
+		if (errors.length) {
+			const error = new TransactionError(errors[0].message);
+			throw new Error(convertErrorsToString([error]));
+		}
+
+		try {
+			await this.transactionPoolModule.getTransactionAndProcessSignature(
+				query.signature,
+			);
+			return { success: true, message: 'Signature Accepted' };
+		} catch (err) {
+			throw new Error(convertErrorsToString(err));
+		}
+	}
+
+	/**
+	 * Receives a list of signatures broadcast by peers.
+	 *
+	 * @param {Object} query
+	 * @param {Array} query.signatures - Array of signature packets
+	 * @param {string} [peerId] - Id of the peer which sent the signatures
+	 * @returns {Promise}
+	 */
+	async postSignatures(query, peerId) {
+		if (!this.constants.broadcasts.active) {
+			return this.logger.debug(
+				'Receiving signatures disabled by user through config.json',
+			);
+		}
+
+		const errors = validator.validate(definitions.WSSignaturesList, query);
+
+		if (errors.length) {
+			this.logger.debug('Invalid signatures body', errors);
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_SCHEMA,
+				'Invalid postSignatures message',
+			);
+			throw errors;
+		}
+
+		return this._receiveSignatures(query.signatures);
+	}
+
+	/**
+	 * Validates signatures body and for each signature calls receiveSignature.
+	 *
+	 * @private
+	 * @param {Array} signatures - Array of signatures
+	 */
+	async _receiveSignatures(signatures = []) {
+		// eslint-disable-next-line no-restricted-syntax
+		for (const signature of signatures) {
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				await this._receiveSignature(signature);
+			} catch (err) {
+				this.logger.debug(convertErrorsToString(err), signature);
+			}
+		}
+	}
+
+	/**
+	 * Validates signature with schema and calls getTransactionAndProcessSignature.
+	 *
+	 * @private
+	 * @param {Object} signature - Signature packet
+	 * @returns {Promise}
+	 */
+	async _receiveSignature(signature) {
+		const errors = validator.validate(definitions.Signature, signature);
+
+		if (errors.length) {
+			throw errors;
+		}
+
+		return this.transactionPoolModule.getTransactionAndProcessSignature(
+			signature,
+		);
 	}
 
 	/**
@@ -427,8 +701,9 @@ class Transport {
 	 * @private
 	 * @implements {__private.receiveTransaction}
 	 * @param {Array} transactions - Array of transactions
+	 * @param {string} [peerId] - Id of the peer which sent the transactions
 	 */
-	async _receiveTransactions(transactions = []) {
+	async _receiveTransactions(transactions = [], peerId) {
 		// eslint-disable-next-line no-restricted-syntax
 		for (const transaction of transactions) {
 			try {
@@ -436,7 +711,7 @@ class Transport {
 					transaction.bundled = true;
 				}
 				// eslint-disable-next-line no-await-in-loop
-				await this._receiveTransaction(transaction);
+				await this._receiveTransaction(transaction, peerId);
 			} catch (err) {
 				this.logger.debug(convertErrorsToString(err), transaction);
 			}
@@ -449,10 +724,11 @@ class Transport {
 	 *
 	 * @private
 	 * @param {transaction} transaction
+	 * @param {string} [peerId] - Id of the peer which sent the transaction
 	 * @returns {Promise.<boolean, Error>}
 	 * @todo Add description for the params
 	 */
-	async _receiveTransaction(transactionJSON) {
+	async _receiveTransaction(transactionJSON, peerId) {
 		const id = transactionJSON ? transactionJSON.id : 'null';
 		let transaction;
 		try {
@@ -460,14 +736,10 @@ class Transport {
 				transactionJSON,
 			);
 
-			const composedTransactionsCheck = transactionsModule.composeTransactionSteps(
-				transactionsModule.checkAllowedTransactions(
-					this.blocksModule.lastBlock,
-				),
-				transactionsModule.validateTransactions(this.exceptions),
-			);
-
-			const { transactionsResponses } = await composedTransactionsCheck([
+			// Schema and signature errors do not depend on the state of the chain
+			const {
+				transactionsResponses,
+			} = transactionsModule.validateTransactions(this.exceptions)([
 				transaction,
 			]);
 
@@ -482,10 +754,30 @@ class Transport {
 				module: 'transport',
 			});
 
-			// TODO: If there is an error, invoke the applyPenalty action on the Network module once it is implemented.
+			this.peerReputation.recordOffence(
+				peerId,
+				OFFENCE_INVALID_TRANSACTION,
+				errString,
+			);
 			throw errors;
 		}
 
+		// Whether a transaction type is allowed depends on the last block, so the peer is not penalized
+		const {
+			transactionsResponses: allowedResponses,
+		} = transactionsModule.checkAllowedTransactions(
+			this.blocksModule.lastBlock,
+		)([transaction]);
+
+		if (allowedResponses[0].errors.length > 0) {
+			this.logger.debug('Transaction not allowed', {
+				id,
+				err: convertErrorsToString(allowedResponses[0].errors),
+				module: 'transport',
+			});
+			throw allowedResponses[0].errors;
+		}
+
 		this.logger.debug(`Received transaction ${transaction.id}`);
 
 		try {
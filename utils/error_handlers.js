@@ -15,9 +15,29 @@
 'use strict';
 
 class CommonBlockError extends Error {
-	constructor(message, lastBlockId) {
+	constructor(message, lastBlockId, peerId) {
 		super(message);
 		this.lastBlockId = lastBlockId;
+		this.peerId = peerId;
+	}
+}
+
+// The block itself is invalid, as opposed to not fitting the current state of the chain
+class BlockVerificationError extends Error {
+	constructor(blockId, errors) {
+		// eslint-disable-next-line no-use-before-define
+		super(`Failed to verify block ${blockId}: ${convertErrorsToString(errors)}`);
+		this.blockId = blockId;
+		this.errors = errors;
+	}
+}
+
+// Own blocks could not be restored after a failed fork switch, the node is left at the common block
+class ForkRestoreError extends Error {
+	constructor(message, forkSwitchError, restoreError) {
+		super(message);
+		this.forkSwitchError = forkSwitchError;
+		this.restoreError = restoreError;
 	}
 }
 
@@ -52,5 +72,7 @@ function convertErrorsToString(errors) {
 
 module.exports = {
 	CommonBlockError,
+	BlockVerificationError,
+	ForkRestoreError,
 	convertErrorsToString,
 };